@@ -0,0 +1,21 @@
+import { notFound } from "next/navigation";
+import { MultiplayerRoom } from "@/components/multiplayer-room";
+import { isValidRoomId } from "@/utils/rooms";
+
+export async function generateMetadata({ params }) {
+  const { roomId } = await params;
+  return {
+    title: `${roomId} | Zog's Multiplayer Experience`,
+  };
+}
+
+export default async function RoomPage({ params }) {
+  const { roomId } = await params;
+
+  // Only well-formed room ids get a channel
+  if (!isValidRoomId(roomId)) {
+    notFound();
+  }
+
+  return <MultiplayerRoom roomId={roomId} />;
+}
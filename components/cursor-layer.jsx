@@ -0,0 +1,284 @@
+"use client";
+
+import { memo, useCallback, useEffect, useRef } from "react";
+import { ArrowUp } from "lucide-react";
+import { getUserColor } from "@/utils/colors";
+import { getEdgeIndicator, getViewport, getWorldToClientOffset, worldToClient } from "@/utils/coordinates";
+import { getStaleOpacity } from "@/utils/interpolation";
+import { getDisplayName } from "@/utils/profile";
+import { TICKER_PHASES, getTicker } from "@/utils/ticker";
+
+// Trail dots drawn behind other users' cursors (the first trail position is the cursor itself)
+const TRAIL_DOTS = [1, 2, 3, 4];
+
+/**
+ * Move a cursor's elements to where its interpolator is now
+ * @param {Object} elements - The cursor's DOM elements, as registered by Cursor
+ * @param {Object} interpolator - The user's position tracker
+ * @param {Object} viewport - Viewport from getViewport()
+ */
+function positionCursor(elements, interpolator, viewport) {
+  const position = worldToClient(interpolator.getCurrentPosition(), viewport);
+
+  // Other users' cursors outside our viewport become edge indicators
+  const indicator = elements.isCurrentUser ? null : getEdgeIndicator(position, viewport);
+
+  // Fade cursors that were moving when their updates stopped
+  elements.root.style.opacity = elements.isCurrentUser ? 1 : getStaleOpacity(interpolator.getStaleness());
+  elements.cursor.style.display = indicator ? "none" : "";
+  if (elements.edge) {
+    elements.edge.style.display = indicator ? "" : "none";
+  }
+
+  if (indicator) {
+    elements.edge.style.transform = `translate3d(${indicator.x}px, ${indicator.y}px, 0) translate(-50%, -50%)`;
+    elements.arrow.style.transform = `rotate(${indicator.angle + 90}deg)`;
+    return;
+  }
+
+  elements.dot.style.transform = `translate3d(${position.x}px, ${position.y}px, 0) translate(-50%, -50%)`;
+  if (elements.tag) {
+    elements.tag.style.transform = `translate3d(${position.x + 10}px, ${position.y + 10}px, 0)`;
+  }
+
+  if (elements.trail.length > 0) {
+    const trailPositions = interpolator.getTrailPositions();
+    elements.trail.forEach((dot, index) => {
+      const trailPosition = worldToClient(trailPositions[TRAIL_DOTS[index]] || trailPositions[trailPositions.length - 1], viewport);
+      dot.style.transform = `translate3d(${trailPosition.x}px, ${trailPosition.y}px, 0) translate(-50%, -50%)`;
+    });
+  }
+}
+
+/**
+ * A single cursor. It renders once per profile change; the shared animation loop
+ * moves it by writing transforms straight to its elements.
+ * @param {Object} props - Component props
+ * @param {Object} props.user - The user { id, userId, name, emoji }
+ * @param {boolean} props.isCurrentUser - Whether this is our own cursor
+ * @param {Function} props.registerCursor - Called with (userId, elements); returns an unregister function
+ */
+const Cursor = memo(function Cursor({ user, isCurrentUser, registerCursor }) {
+  const rootRef = useRef(null);
+  const cursorRef = useRef(null);
+  const dotRef = useRef(null);
+  const tagRef = useRef(null);
+  const edgeRef = useRef(null);
+  const arrowRef = useRef(null);
+  const trailRefs = useRef([]);
+  const colorClass = getUserColor(user.userId || user.id, isCurrentUser);
+
+  useEffect(() => {
+    return registerCursor(user.id, {
+      isCurrentUser,
+      root: rootRef.current,
+      cursor: cursorRef.current,
+      dot: dotRef.current,
+      tag: tagRef.current,
+      edge: edgeRef.current,
+      arrow: arrowRef.current,
+      trail: isCurrentUser ? [] : trailRefs.current.filter(Boolean),
+    });
+  }, [user.id, isCurrentUser, registerCursor]);
+
+  return (
+    <div ref={rootRef} className="pointer-events-none">
+      <div ref={cursorRef}>
+        {/* Render trail dots for other users */}
+        {!isCurrentUser && TRAIL_DOTS.map((trailIndex, index) => {
+          // Calculate size and opacity based on position in trail
+          const size = 10 - trailIndex * 1.6;
+          const opacity = 0.6 - trailIndex * 0.12;
+
+          return (
+            <div
+              key={`trail-${trailIndex}`}
+              ref={element => { trailRefs.current[index] = element; }}
+              className="fixed left-0 top-0 pointer-events-none will-change-transform"
+              style={{
+                width: `${size}px`,
+                height: `${size}px`,
+              }}
+            >
+              <div
+                className={`rounded-full ${colorClass}`}
+                style={{
+                  opacity,
+                  width: '100%',
+                  height: '100%',
+                  filter: 'blur(1px)'
+                }}
+              />
+            </div>
+          );
+        })}
+
+        {/* Main cursor dot */}
+        <div
+          ref={dotRef}
+          className="fixed left-0 top-0 pointer-events-none will-change-transform"
+          style={{
+            width: isCurrentUser ? '12px' : '10px',
+            height: isCurrentUser ? '12px' : '10px',
+          }}
+        >
+          <div
+            className={`w-full h-full rounded-full ${colorClass} shadow-md`}
+            style={{
+              opacity: 0.85,
+              boxShadow: isCurrentUser ? '0 0 8px rgba(255,255,255,0.6)' : '0 0 4px rgba(255,255,255,0.3)'
+            }}
+          />
+        </div>
+
+        {/* Name tag for other users */}
+        {!isCurrentUser && (
+          <div
+            ref={tagRef}
+            className={`fixed left-0 top-0 pointer-events-none whitespace-nowrap rounded-full px-2 py-0.5 text-xs font-medium text-white shadow-sm will-change-transform ${colorClass}`}
+            style={{ opacity: 0.9 }}
+          >
+            {user.emoji && <span className="mr-1">{user.emoji}</span>}
+            {getDisplayName(user)}
+          </div>
+        )}
+      </div>
+
+      {/* Arrow on the screen edge pointing toward an off-screen cursor */}
+      {!isCurrentUser && (
+        <div
+          ref={edgeRef}
+          className="fixed left-0 top-0 pointer-events-none flex items-center gap-1 will-change-transform"
+          style={{ display: 'none' }}
+        >
+          <div
+            ref={arrowRef}
+            className={`flex size-6 items-center justify-center rounded-full text-white shadow-md ${colorClass}`}
+            style={{ opacity: 0.9 }}
+          >
+            <ArrowUp className="size-4" />
+          </div>
+          <span className="whitespace-nowrap rounded-full bg-background/80 px-2 py-0.5 text-xs text-foreground shadow-sm">
+            {user.emoji && <span className="mr-1">{user.emoji}</span>}
+            {getDisplayName(user)}
+          </span>
+        </div>
+      )}
+    </div>
+  );
+});
+
+/**
+ * Everyone's cursors plus the particle trails behind them. Positions never go
+ * through React state: one callback in the shared animation loop moves every
+ * cursor and draws every particle system each frame. Memoized, so the room's
+ * own re-renders (stats, panel) leave the cursors alone.
+ * @param {Object} props - Component props
+ * @param {Array} props.users - Room members { id, userId, name, emoji }
+ * @param {string} props.clientId - Our client id
+ * @param {Object} props.interpolatorsRef - Ref to the position trackers, keyed by client id
+ * @param {Object} props.particlesRef - Ref to the particle systems, keyed by client id
+ */
+export const CursorLayer = memo(function CursorLayer({ users, clientId, interpolatorsRef, particlesRef }) {
+  const canvasRef = useRef(null);
+  const cursorsRef = useRef(new Map());
+
+  const registerCursor = useCallback((userId, elements) => {
+    cursorsRef.current.set(userId, elements);
+    return () => {
+      if (cursorsRef.current.get(userId) === elements) {
+        cursorsRef.current.delete(userId);
+      }
+    };
+  }, []);
+
+  // Keep the particle canvas full-screen and sharp on high-DPI displays
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    let dprQuery = null;
+
+    const resizeCanvas = () => {
+      const dpr = window.devicePixelRatio || 1;
+      canvas.width = Math.round(window.innerWidth * dpr);
+      canvas.height = Math.round(window.innerHeight * dpr);
+      canvas.style.width = `${window.innerWidth}px`;
+      canvas.style.height = `${window.innerHeight}px`;
+
+      // Moving the window to a screen with a different DPR doesn't always fire resize
+      dprQuery?.removeEventListener("change", resizeCanvas);
+      dprQuery = window.matchMedia(`(resolution: ${dpr}dppx)`);
+      dprQuery.addEventListener("change", resizeCanvas);
+    };
+
+    resizeCanvas();
+    window.addEventListener("resize", resizeCanvas);
+
+    return () => {
+      window.removeEventListener("resize", resizeCanvas);
+      dprQuery?.removeEventListener("change", resizeCanvas);
+    };
+  }, []);
+
+  // Draw every frame, after the interpolators have advanced
+  useEffect(() => {
+    // Feed interpolated positions into the particle systems and draw them
+    const renderParticles = (viewport) => {
+      const canvas = canvasRef.current;
+      const ctx = canvas?.getContext("2d");
+      if (!ctx) return;
+
+      // Draw in CSS pixels; the backing store is scaled by DPR
+      const dpr = canvas.width / (canvas.clientWidth || canvas.width);
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      ctx.clearRect(0, 0, canvas.clientWidth, canvas.clientHeight);
+
+      // Particles live in world coordinates; shift them into the viewport
+      const offset = getWorldToClientOffset(viewport);
+      ctx.translate(offset.x, offset.y);
+
+      Object.entries(particlesRef.current).forEach(([userId, particles]) => {
+        const interpolator = interpolatorsRef.current[userId];
+        if (interpolator) {
+          particles.update(interpolator.getCurrentPosition());
+        }
+        particles.render(ctx);
+      });
+    };
+
+    const renderFrame = () => {
+      // Read layout once per frame, not once per cursor
+      const viewport = getViewport();
+
+      cursorsRef.current.forEach((elements, userId) => {
+        const interpolator = interpolatorsRef.current[userId];
+        elements.root.style.visibility = interpolator ? "" : "hidden";
+        if (interpolator) {
+          positionCursor(elements, interpolator, viewport);
+        }
+      });
+
+      renderParticles(viewport);
+    };
+
+    return getTicker().add(renderFrame, TICKER_PHASES.RENDER);
+  }, [interpolatorsRef, particlesRef]);
+
+  return (
+    <>
+      {/* Particle trails for other users */}
+      <canvas ref={canvasRef} className="fixed inset-0 pointer-events-none" />
+
+      {/* Mouse cursors for each user with smooth interpolation */}
+      {users.map(user => (
+        <Cursor
+          key={user.id}
+          user={user}
+          isCurrentUser={user.id === clientId}
+          registerCursor={registerCursor}
+        />
+      ))}
+    </>
+  );
+});
@@ -0,0 +1,520 @@
+"use client";
+
+import { useEffect, useState, useRef } from "react";
+import Link from "next/link";
+import { Avatar, AvatarFallback } from "@/components/ui/avatar";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Label } from "@/components/ui/label";
+import { Slider } from "@/components/ui/slider";
+import { Switch } from "@/components/ui/switch";
+import { CONNECTION_STATUS, REALTIME_EVENTS } from "@/data/connectRealtime";
+import { SEND_RATE_REASONS } from "@/data/sendRateController";
+import { INTERPOLATION_MODES, createInterpolator } from "@/utils/interpolation";
+import { getUserColor, getUserColorValue, updateRoomColors } from "@/utils/colors";
+import { createParticleSystem } from "@/utils/particles";
+import { CursorLayer } from "@/components/cursor-layer";
+import { PingBadge, PingIndicator } from "@/components/ping-indicator";
+import { ProfileForm } from "@/components/profile-form";
+import { getDisplayName, getInitials, loadProfile, saveProfile } from "@/utils/profile";
+import { getRoomPath } from "@/utils/rooms";
+import { clientToWorld } from "@/utils/coordinates";
+import { browserScheduler } from "@/utils/scheduler";
+import { getTicker } from "@/utils/ticker";
+import { RealtimeRoomProvider, usePresence, useRoomContext } from "@/hooks/use-realtime-room";
+import "@/app/grid-background.css";
+
+// How often the panel refreshes the positions it shows (ms); cursors themselves move every frame
+const PANEL_REFRESH_INTERVAL = 250;
+
+// Button labels for the interpolation modes
+const INTERPOLATION_MODE_LABELS = {
+  [INTERPOLATION_MODES.SPRING]: "Spring",
+  [INTERPOLATION_MODES.BUFFER]: "Buffer",
+  [INTERPOLATION_MODES.SPLINE]: "Spline",
+};
+
+// Why the adaptive send rate is below (or at) the maximum
+const SEND_RATE_REASON_LABELS = {
+  [SEND_RATE_REASONS.MAX]: "at max",
+  [SEND_RATE_REASONS.RECOVERING]: "recovering",
+  [SEND_RATE_REASONS.LATENCY]: "slow network",
+  [SEND_RATE_REASONS.LOSS]: "packet loss",
+  [SEND_RATE_REASONS.CROWDED]: "crowded room",
+};
+
+/**
+ * Text read from outside React state (refs, interpolators), refreshed a few times
+ * a second. Only this element re-renders, not the room around it.
+ * @param {Object} props - Component props
+ * @param {Function} props.read - Returns the text to show, or nothing to hide the element
+ * @param {string} props.className - Classes for the text
+ */
+function LiveText({ read, className }) {
+  const [, setRefresh] = useState(0);
+
+  useEffect(() => {
+    const refreshInterval = setInterval(() => {
+      setRefresh(count => count + 1);
+    }, PANEL_REFRESH_INTERVAL);
+
+    return () => {
+      clearInterval(refreshInterval);
+    };
+  }, []);
+
+  const text = read();
+  return text ? <span className={className}>{text}</span> : null;
+}
+
+/**
+ * Shared cursor space for a single room
+ * @param {Object} props - Component props
+ * @param {string} props.roomId - The room to join
+ */
+export function MultiplayerRoom({ roomId }) {
+  // Position trackers per client id, shared by the connection options and the view
+  const userInterpolatorsRef = useRef({});
+
+  // Join the room (with the saved profile) while this page is open
+  const roomOptions = {
+    // Timestamped samples for users whose interpolator buffers them
+    onCursorSamples: (senderId, samples) => {
+      userInterpolatorsRef.current[senderId]?.addSamples?.(samples);
+    },
+  };
+
+  return (
+    <RealtimeRoomProvider roomId={roomId} options={roomOptions}>
+      <RoomView roomId={roomId} userInterpolatorsRef={userInterpolatorsRef} />
+    </RealtimeRoomProvider>
+  );
+}
+
+/**
+ * Cursors, controls and the user list for the room of the surrounding RealtimeRoomProvider
+ * @param {Object} props - Component props
+ * @param {string} props.roomId - The room's id
+ * @param {Object} props.userInterpolatorsRef - Ref to the position trackers, keyed by client id
+ */
+function RoomView({ roomId, userInterpolatorsRef }) {
+  const room = useRoomContext();
+  // Room members; only changes when people join, leave or edit their profile
+  const roomUsers = usePresence();
+  const [pingMs, setPingMs] = useState(null);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [profile, setProfile] = useState({ name: "", emoji: "", color: "" });
+  const [sendRate, setSendRate] = useState(15);
+  const [sendRateInfo, setSendRateInfo] = useState(null);
+  const [messageStats, setMessageStats] = useState(null);
+  const [connectionStats, setConnectionStats] = useState(null);
+  const [frameStats, setFrameStats] = useState(null);
+  const mousePositionRef = useRef({ x: 0, y: 0 });
+  const userParticlesRef = useRef({});
+  const realtimeConnectionRef = useRef(null);
+  // Buffered playback runs on the room's shared clock, the same one senders stamp samples with
+  const serverClockRef = useRef({
+    ...browserScheduler,
+    dateNow: () => realtimeConnectionRef.current?.getServerTime() ?? Date.now(),
+  });
+  const lastClientPointRef = useRef(null);
+  // Interpolation mode chosen per remote user (spring unless changed)
+  const interpolationModesRef = useRef({});
+  const [interpolationModes, setInterpolationModes] = useState({});
+
+  const clientId = room.clientId;
+  const connectionStatus = room.error ? "error" : room.status ?? CONNECTION_STATUS.CONNECTING;
+
+  // Get the interpolation mode for a remote user
+  const getInterpolationMode = (userId) => {
+    return interpolationModesRef.current[userId] || INTERPOLATION_MODES.SPRING;
+  };
+
+  // Create an interpolator; our own cursor follows the mouse almost directly
+  const createUserInterpolator = (position, mode, isCurrentUser = false) => {
+    return createInterpolator(mode, position, {
+      smoothFactor: isCurrentUser ? 1.0 : 0.08, // Ultra smooth for other users (lower = smoother)
+      maxSpeed: isCurrentUser ? 100 : 20,       // Max speed (pixels per frame)
+      scheduler: serverClockRef.current,
+      ticker: getTicker(),                      // Springs still share the page's animation loop
+    });
+  };
+
+  // Cycle a remote user's cursor through spring, snapshot buffer and spline interpolation
+  const toggleInterpolationMode = (userId) => {
+    const modes = [INTERPOLATION_MODES.SPRING, INTERPOLATION_MODES.BUFFER, INTERPOLATION_MODES.SPLINE];
+    const mode = modes[(modes.indexOf(getInterpolationMode(userId)) + 1) % modes.length];
+    interpolationModesRef.current = { ...interpolationModesRef.current, [userId]: mode };
+    setInterpolationModes(interpolationModesRef.current);
+    
+    // Replace the interpolator, starting from where the cursor is now
+    const previous = userInterpolatorsRef.current[userId];
+    if (previous) {
+      const position = previous.getCurrentPosition();
+      previous.cleanup();
+      userInterpolatorsRef.current[userId] = createUserInterpolator(position, mode);
+    }
+  };
+
+  // Render the interpolation mode switch for a remote user, with buffer stats when buffering
+  const renderInterpolationToggle = (userId) => {
+    const mode = interpolationModes[userId] || INTERPOLATION_MODES.SPRING;
+    // Buffer delay and jitter, for users whose interpolator buffers samples
+    const readStats = () => {
+      const stats = userInterpolatorsRef.current[userId]?.getStats?.();
+      return stats ? `${Math.round(stats.delay)}ms ±${Math.round(stats.jitter)}` : null;
+    };
+    
+    return (
+      <>
+        <LiveText read={readStats} className="text-xs text-muted-foreground" />
+        <Button
+          variant="outline"
+          size="sm"
+          className="h-6 px-2 text-xs"
+          onClick={() => toggleInterpolationMode(userId)}
+          title="Switch between spring smoothing, timestamped buffer playback and spline paths"
+        >
+          {INTERPOLATION_MODE_LABELS[mode]}
+        </Button>
+      </>
+    );
+  };
+
+  // Keep cursors and interpolators in step with the room; usePresence() keeps the user list
+  useEffect(() => {
+    const connection = room.connection;
+    if (!connection) return;
+    realtimeConnectionRef.current = connection;
+
+    // The connection joined with the saved profile; show it in the form
+    setProfile(loadProfile());
+
+    // This runs for every cursor sample, so it never touches React state
+    const handleUsersUpdate = (updatedUsers) => {
+      // Recompute colors for the room's current members (frees colors of users who left)
+      updateRoomColors(updatedUsers);
+      
+      // Update or create interpolators for each user
+      updatedUsers.forEach(user => {
+        if (!userInterpolatorsRef.current[user.id]) {
+          // Create a new interpolator for this user with appropriate smoothness
+          const isCurrentUser = user.id === connection.getClientId();
+          userInterpolatorsRef.current[user.id] = createUserInterpolator(
+            { x: user.x, y: user.y },
+            isCurrentUser ? INTERPOLATION_MODES.SPRING : getInterpolationMode(user.id),
+            isCurrentUser
+          );
+          
+          // Create a particle system for this user
+          if (!isCurrentUser) { // Only create particles for other users
+            const userColor = getUserColorValue(user.userId || user.id);
+            userParticlesRef.current[user.id] = createParticleSystem(
+              userColor, // Use the same color as the user's cursor (as a CSS value for canvas)
+              800,      // Particle lifetime in ms
+              4,        // Particle size
+              0.95      // Particle decay rate
+            );
+          }
+        } else {
+          // Update the target position for existing interpolator (t, the sender's
+          // timestamp, lets it extrapolate while the next update is late)
+          userInterpolatorsRef.current[user.id].updateTargetPosition({
+            x: user.x,
+            y: user.y,
+            t: user.t
+          });
+          
+          // Follow color changes as people join, leave or pick a color
+          userParticlesRef.current[user.id]?.setColor(getUserColorValue(user.userId || user.id));
+        }
+      });
+      
+      // Remove interpolators and particle systems for users who left
+      Object.keys(userInterpolatorsRef.current).forEach(userId => {
+        if (!updatedUsers.some(user => user.id === userId)) {
+          userInterpolatorsRef.current[userId].cleanup();
+          delete userInterpolatorsRef.current[userId];
+          
+          // Clean up particle system if it exists
+          if (userParticlesRef.current[userId]) {
+            userParticlesRef.current[userId].clear();
+            delete userParticlesRef.current[userId];
+          }
+        }
+      });
+    };
+
+    const unsubscribers = [
+      connection.on(REALTIME_EVENTS.USERS, handleUsersUpdate),
+      connection.on(REALTIME_EVENTS.PING, setPingMs),
+    ];
+    handleUsersUpdate(connection.getUsers());
+
+    return () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+
+      // Clean up all interpolators
+      Object.values(userInterpolatorsRef.current).forEach(interpolator => {
+        interpolator.cleanup();
+      });
+      
+      // Clean up all particle systems
+      Object.values(userParticlesRef.current).forEach(particles => {
+        particles.clear();
+      });
+      
+      userInterpolatorsRef.current = {};
+      userParticlesRef.current = {};
+      realtimeConnectionRef.current = null;
+    };
+  }, [room.connection]);
+
+  // Track mouse movements and update position in realtime
+  useEffect(() => {
+    const sendPosition = (clientPoint) => {
+      // Share world coordinates so the cursor lands on the same content on every screen
+      const newPosition = clientToWorld(clientPoint);
+      mousePositionRef.current = newPosition;
+
+      // Update position in realtime (the connection throttles sends to its send rate
+      // and holds on to the position while reconnecting)
+      realtimeConnectionRef.current?.updateMousePosition(newPosition.x, newPosition.y)
+        .catch(error => console.error("Error updating mouse position:", error));
+    };
+
+    const handleMouseMove = (event) => {
+      lastClientPointRef.current = { x: event.clientX, y: event.clientY };
+      sendPosition(lastClientPointRef.current);
+    };
+
+    // Scrolling moves the cursor through the world even when the mouse is still
+    const handleScroll = () => {
+      if (lastClientPointRef.current) {
+        sendPosition(lastClientPointRef.current);
+      }
+    };
+
+    window.addEventListener('mousemove', handleMouseMove);
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    
+    return () => {
+      window.removeEventListener('mousemove', handleMouseMove);
+      window.removeEventListener('scroll', handleScroll);
+    };
+  }, []);
+
+  // Refresh message rates, connection quality and animation frame cost once a second
+  useEffect(() => {
+    const statsInterval = setInterval(() => {
+      const connection = realtimeConnectionRef.current;
+      if (connection) {
+        setMessageStats(connection.getMessageStats());
+        setConnectionStats(connection.getConnectionStats());
+        setSendRate(connection.getSendRate());
+        setSendRateInfo(connection.getSendRateInfo());
+      }
+      setFrameStats(getTicker().getStats());
+    }, 1000);
+    
+    return () => {
+      clearInterval(statsInterval);
+    };
+  }, []);
+
+  // Change how often our cursor is broadcast
+  const handleSendRateChange = ([rate]) => {
+    realtimeConnectionRef.current?.setSendRate(rate);
+    setSendRate(rate);
+  };
+
+  // Let the connection lower the send rate on bad networks and in crowded rooms
+  const handleAdaptiveSendRateChange = (enabled) => {
+    const connection = realtimeConnectionRef.current;
+    if (!connection) return;
+    connection.setAdaptiveSendRate(enabled);
+    setSendRateInfo(connection.getSendRateInfo());
+  };
+
+  // Format a world position for the panel
+  const formatPosition = (position) => {
+    return position ? `X: ${Math.round(position.x)}, Y: ${Math.round(position.y)}` : "";
+  };
+
+  // Get avatar and name for the user list
+  const getUserColorIndicator = (user) => {
+    const isCurrentUser = user.id === clientId;
+    const colorClass = getUserColor(user.userId || user.id, isCurrentUser);
+    const displayName = getDisplayName(user);
+    
+    return (
+      <div className="flex items-center gap-2">
+        <Avatar className="size-6 shadow-sm">
+          <AvatarFallback className={`${colorClass} text-xs font-medium ${isCurrentUser ? 'text-primary-foreground' : 'text-white'}`}>
+            {user.emoji || getInitials(user.name || '') || '?'}
+          </AvatarFallback>
+        </Avatar>
+        <span>{isCurrentUser ? `${user.name || 'You'} (you)` : displayName}</span>
+      </div>
+    );
+  };
+
+  // Save the profile locally and share it with the room
+  const handleProfileSave = (newProfile) => {
+    const saved = saveProfile(newProfile);
+    setProfile(saved);
+    realtimeConnectionRef.current?.updateProfile(saved);
+  };
+
+  // Copy a shareable link to this room
+  const copyRoomLink = async () => {
+    try {
+      await navigator.clipboard.writeText(`${window.location.origin}${getRoomPath(roomId)}`);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (error) {
+      console.error("Error copying room link:", error);
+    }
+  };
+
+  // Ping status is now handled by the PingIndicator component
+
+  return (
+    <div className="relative min-h-screen bg-background text-foreground blueprint-grid">
+      {/* Cursors and particle trails, animated outside React */}
+      <CursorLayer
+        users={roomUsers}
+        clientId={clientId}
+        interpolatorsRef={userInterpolatorsRef}
+        particlesRef={userParticlesRef}
+      />
+      
+      {/* Header */}
+      <header className="fixed top-0 left-0 w-full p-4 z-10 bg-background/80 backdrop-blur-sm flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-primary">
+          <Link href="/">Zog's Multiplayer Experience</Link>
+        </h1>
+        <Button variant="outline" size="sm" onClick={copyRoomLink}>
+          {linkCopied ? "Link copied!" : "Copy room link"}
+        </Button>
+      </header>
+      
+      {/* Ping indicator with Shadcn UI styling */}
+      <PingIndicator pingMs={pingMs} stats={connectionStats} />
+      
+      {/* Main content */}
+      <main className="container mx-auto pt-20 p-4">
+        <Card className="w-full max-w-3xl mx-auto">
+          <CardHeader>
+            <CardTitle>Mouse Position Tracker</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="grid gap-4">
+              <div>
+                <p className="text-muted-foreground">Move your mouse around the screen to see your position.</p>
+                <p className="mt-2">Current position (world): <LiveText read={() => formatPosition(mousePositionRef.current)} /></p>
+                <p className="text-sm text-muted-foreground mt-1">
+                  Status: {connectionStatus === CONNECTION_STATUS.CONNECTED ? (
+                    <span className="text-green-500">Connected to room "{roomId}"</span>
+                  ) : connectionStatus === CONNECTION_STATUS.CONNECTING ? (
+                    <span className="text-yellow-500">Connecting...</span>
+                  ) : connectionStatus === CONNECTION_STATUS.RECONNECTING ? (
+                    <span className="text-yellow-500">Connection lost, reconnecting...</span>
+                  ) : connectionStatus === CONNECTION_STATUS.OFFLINE ? (
+                    <span className="text-red-500">
+                      Offline{" "}
+                      <Button
+                        variant="link"
+                        size="sm"
+                        className="h-auto p-0"
+                        onClick={() => realtimeConnectionRef.current?.reconnect()}
+                      >
+                        Retry now
+                      </Button>
+                    </span>
+                  ) : (
+                    <span className="text-red-500">Connection error</span>
+                  )}
+                </p>
+              </div>
+              
+              <div className="border rounded-md p-4 bg-card/50">
+                <h3 className="font-medium mb-2">Cursor Updates</h3>
+                <div className="flex items-center gap-4">
+                  <Slider
+                    min={5}
+                    max={60}
+                    step={5}
+                    value={[sendRate]}
+                    onValueChange={handleSendRateChange}
+                    aria-label={sendRateInfo?.adaptive ? "Maximum cursor send rate" : "Cursor send rate"}
+                  />
+                  <span className="w-16 shrink-0 text-right font-mono text-sm">{sendRate} Hz</span>
+                </div>
+                <div className="mt-3 flex items-center gap-2">
+                  <Switch
+                    id="adaptive-send-rate"
+                    checked={sendRateInfo?.adaptive ?? true}
+                    onCheckedChange={handleAdaptiveSendRateChange}
+                  />
+                  <Label htmlFor="adaptive-send-rate">Adapt to network</Label>
+                </div>
+                {sendRateInfo?.adaptive && (
+                  <p className="mt-2 text-sm text-muted-foreground">
+                    Current rate: {sendRateInfo.rate} Hz ({SEND_RATE_REASON_LABELS[sendRateInfo.reason]})
+                  </p>
+                )}
+                <p className="mt-2 text-sm text-muted-foreground">
+                  {messageStats ? (
+                    <>
+                      Sending {messageStats.totalPerSecond.toFixed(1)} msg/s
+                      ({messageStats.broadcastPerSecond.toFixed(1)} broadcast, {messageStats.presencePerSecond.toFixed(1)} presence)
+                    </>
+                  ) : (
+                    "Measuring message rate..."
+                  )}
+                </p>
+                {frameStats && (
+                  <p className="text-sm text-muted-foreground">
+                    Animation: {frameStats.frameCost.toFixed(2)} ms/frame ({frameStats.callbacks} callbacks)
+                  </p>
+                )}
+                {messageStats && (messageStats.dropped.receive > 0 || messageStats.rejected > 0) && (
+                  <p className="text-sm text-yellow-500">
+                    Ignored {messageStats.dropped.receive} malformed and {messageStats.rejected} forged messages
+                  </p>
+                )}
+              </div>
+              
+              <div className="border rounded-md p-4 bg-card/50">
+                <h3 className="font-medium mb-2">Your Profile</h3>
+                <ProfileForm profile={profile} onSave={handleProfileSave} />
+              </div>
+              
+              <div className="border rounded-md p-4 bg-card/50">
+                <h3 className="font-medium mb-2">Connected Users ({roomUsers.length})</h3>
+                {roomUsers.length > 0 ? (
+                  <ul className="space-y-2">
+                    {roomUsers.map(user => (
+                      <li key={user.id} className="flex justify-between items-center">
+                        {getUserColorIndicator(user)}
+                        <div className="flex items-center gap-2">
+                          <LiveText read={() => formatPosition(userInterpolatorsRef.current[user.id]?.getCurrentPosition())} className="text-muted-foreground" />
+                          {/* Everyone's own measured ping: tells whether a laggy cursor is their connection or ours */}
+                          <PingBadge pingMs={user.id === clientId ? pingMs : user.ping} />
+                          {user.id !== clientId && renderInterpolationToggle(user.id)}
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="text-muted-foreground">No users connected</p>
+                )}
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+      </main>
+    </div>
+  );
+}
@@ -1,29 +1,130 @@
+import { Line, LineChart, YAxis } from "recharts";
 import { Badge } from "@/components/ui/badge";
 import { Card } from "@/components/ui/card";
+import { ChartContainer, ChartTooltip, ChartTooltipContent } from "@/components/ui/chart";
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from "@/components/ui/tooltip";
 
 /**
- * Ping indicator component with Shadcn UI styling
+ * Grade a ping and get the colors it is shown in
+ * @param {number|null} ping - Ping in ms, null while measuring, -1 for timeout
+ * @returns {Object} - { status, color, text }: status is measuring, timeout, good, medium or poor;
+ * color and text are Tailwind background and text classes
+ */
+export function getPingStatus(ping) {
+  if (ping === null) return { status: "measuring", color: "bg-gray-400", text: "text-gray-400" };
+  if (ping < 0) return { status: "timeout", color: "bg-destructive", text: "text-destructive" };
+  if (ping < 100) return { status: "good", color: "bg-green-500", text: "text-green-500" };
+  if (ping < 250) return { status: "medium", color: "bg-orange-500", text: "text-orange-500" };
+  return { status: "poor", color: "bg-red-500", text: "text-red-500" };
+}
+
+/**
+ * Get ping text to display
+ * @param {number|null} ping - Ping in ms, null while measuring, -1 for timeout
+ * @returns {string} - e.g. "42ms"
+ */
+export function getPingText(ping) {
+  if (ping === null) return "Measuring...";
+  if (ping < 0) return "Timeout";
+  return `${ping}ms`;
+}
+
+/**
+ * Compact ping readout for lists, colored like the indicator
  * @param {Object} props - Component props
- * @param {number|null} props.pingMs - Ping value in milliseconds, null for measuring, -1 for timeout
+ * @param {number|null} props.pingMs - Ping in ms, null if unknown, -1 for timeout
  */
-export function PingIndicator({ pingMs }) {
-  // Get ping status and color based on ping value
-  const getPingStatus = (ping) => {
-    if (ping === null) return { status: "measuring", color: "bg-gray-400", text: "text-gray-400" };
-    if (ping < 0) return { status: "timeout", color: "bg-destructive", text: "text-destructive" };
-    if (ping < 100) return { status: "good", color: "bg-green-500", text: "text-green-500" };
-    if (ping < 250) return { status: "medium", color: "bg-orange-500", text: "text-orange-500" };
-    return { status: "poor", color: "bg-red-500", text: "text-red-500" };
-  };
+export function PingBadge({ pingMs }) {
+  const { color, text } = getPingStatus(pingMs);
 
-  // Get ping text to display
-  const getPingText = (ping) => {
-    if (ping === null) return "Measuring...";
-    if (ping < 0) return "Timeout";
-    return `${ping}ms`;
-  };
+  return (
+    <span className="flex items-center gap-1.5">
+      <span className={`size-2 rounded-full ${color}`} />
+      <span className={`font-mono text-xs ${text}`}>{pingMs === null ? "–" : getPingText(pingMs)}</span>
+    </span>
+  );
+}
+
+// Series shown in the round trip graph
+const RTT_CHART_CONFIG = {
+  rtt: { label: "RTT (ms)", color: "var(--chart-1)" },
+};
+
+/**
+ * Format a millisecond statistic, which is null until measured
+ * @param {number|null} value - Value in ms
+ * @returns {string} - e.g. "42ms" or "–"
+ */
+function formatMs(value) {
+  return value === null || value === undefined ? "–" : `${Math.round(value)}ms`;
+}
+
+/**
+ * Connection quality details: round trip percentiles, jitter, loss, message rates
+ * and a graph of recent pings
+ * @param {Object} props - Component props
+ * @param {Object} props.stats - Statistics from the connection's getConnectionStats()
+ */
+function ConnectionDetails({ stats }) {
+  if (!stats) {
+    return <p className="text-sm text-muted-foreground">Collecting connection statistics...</p>;
+  }
+
+  const timeouts = stats.history.filter(ping => ping.rtt === null).length;
+  const rows = [
+    ["Median RTT", formatMs(stats.rtt.p50)],
+    ["95th / 99th", `${formatMs(stats.rtt.p95)} / ${formatMs(stats.rtt.p99)}`],
+    ["Min / max", `${formatMs(stats.rtt.min)} / ${formatMs(stats.rtt.max)}`],
+    ["Jitter", formatMs(stats.jitter)],
+    ["Packet loss", `${(stats.lossRate * 100).toFixed(1)}%`],
+    ["Ping timeouts", `${timeouts} of ${stats.history.length}`],
+    ["Messages", `${stats.sentPerSecond.toFixed(1)} sent / ${stats.receivedPerSecond.toFixed(1)} received per s`],
+  ];
 
+  return (
+    <div className="grid gap-3">
+      <h4 className="font-medium leading-none">Connection quality</h4>
+      {stats.history.length > 1 ? (
+        <ChartContainer config={RTT_CHART_CONFIG} className="aspect-auto h-16 w-full">
+          <LineChart data={stats.history} margin={{ top: 4, right: 4, bottom: 4, left: 4 }}>
+            <YAxis hide domain={[0, "auto"]} />
+            <ChartTooltip
+              cursor={false}
+              content={<ChartTooltipContent hideLabel />}
+            />
+            <Line
+              dataKey="rtt"
+              type="monotone"
+              stroke="var(--color-rtt)"
+              strokeWidth={2}
+              dot={false}
+              isAnimationActive={false}
+            />
+          </LineChart>
+        </ChartContainer>
+      ) : (
+        <p className="text-sm text-muted-foreground">Waiting for more pings to draw a graph...</p>
+      )}
+      <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1 text-sm">
+        {rows.map(([label, value]) => (
+          <div key={label} className="contents">
+            <dt className="text-muted-foreground">{label}</dt>
+            <dd className="text-right font-mono">{value}</dd>
+          </div>
+        ))}
+      </dl>
+    </div>
+  );
+}
+
+/**
+ * Ping indicator component with Shadcn UI styling. Click it for connection details.
+ * @param {Object} props - Component props
+ * @param {number|null} props.pingMs - Ping value in milliseconds, null while measuring (or alone in the room), -1 for timeout
+ * @param {Object} props.stats - Statistics from the connection's getConnectionStats(), for the details popover
+ */
+export function PingIndicator({ pingMs, stats = null }) {
   // Get tooltip text based on ping status
   const getTooltipText = (status) => {
     switch (status) {
@@ -39,20 +140,27 @@ export function PingIndicator({ pingMs }) {
   const tooltipText = getTooltipText(status);
 
   return (
-    <TooltipProvider>
-      <Tooltip>
-        <TooltipTrigger asChild>
-          <Card className="fixed bottom-4 left-4 z-10 flex items-center gap-2 px-3 py-2 shadow-md border-muted">
-            <div className="flex items-center gap-2">
-              <div className={`w-3 h-3 rounded-full animate-pulse ${color}`} />
-              <span className={`font-mono ${text}`}>Ping: {getPingText(pingMs)}</span>
-            </div>
-          </Card>
-        </TooltipTrigger>
-        <TooltipContent side="top">
-          <p>{tooltipText}</p>
-        </TooltipContent>
-      </Tooltip>
-    </TooltipProvider>
+    <Popover>
+      <TooltipProvider>
+        <Tooltip>
+          <TooltipTrigger asChild>
+            <PopoverTrigger asChild>
+              <Card className="fixed bottom-4 left-4 z-10 flex cursor-pointer items-center gap-2 px-3 py-2 shadow-md border-muted">
+                <div className="flex items-center gap-2">
+                  <div className={`w-3 h-3 rounded-full animate-pulse ${color}`} />
+                  <span className={`font-mono ${text}`}>Ping: {getPingText(pingMs)}</span>
+                </div>
+              </Card>
+            </PopoverTrigger>
+          </TooltipTrigger>
+          <TooltipContent side="top">
+            <p>{tooltipText} (click for details)</p>
+          </TooltipContent>
+        </Tooltip>
+      </TooltipProvider>
+      <PopoverContent side="top" align="start" className="w-80">
+        <ConnectionDetails stats={stats} />
+      </PopoverContent>
+    </Popover>
   );
 }
@@ -0,0 +1,84 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { MAX_DISPLAY_NAME_LENGTH, PROFILE_EMOJIS } from "@/utils/profile";
+import { USER_COLOR_NAMES, getColorClassByName } from "@/utils/colors";
+
+/**
+ * Form for choosing a display name, emoji avatar and cursor color
+ * @param {Object} props - Component props
+ * @param {Object} props.profile - The current profile { name, emoji, color }
+ * @param {Function} props.onSave - Called with the edited profile
+ */
+export function ProfileForm({ profile, onSave }) {
+  const [name, setName] = useState(profile.name);
+  const [emoji, setEmoji] = useState(profile.emoji);
+  const [color, setColor] = useState(profile.color);
+
+  // Pick up the saved profile once it has been loaded from storage
+  useEffect(() => {
+    setName(profile.name);
+    setEmoji(profile.emoji);
+    setColor(profile.color);
+  }, [profile.name, profile.emoji, profile.color]);
+
+  const isDirty = name !== profile.name || emoji !== profile.emoji || color !== profile.color;
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onSave({ name, emoji, color });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="grid gap-3">
+      <div className="grid gap-2">
+        <Label htmlFor="display-name">Display name</Label>
+        <div className="flex gap-2">
+          <Input
+            id="display-name"
+            placeholder="What should others call you?"
+            maxLength={MAX_DISPLAY_NAME_LENGTH}
+            value={name}
+            onChange={(event) => setName(event.target.value)}
+          />
+          <Button type="submit" variant="outline" disabled={!isDirty}>Save</Button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-1" role="radiogroup" aria-label="Avatar emoji">
+        {PROFILE_EMOJIS.map(option => (
+          <Button
+            key={option}
+            type="button"
+            size="icon"
+            variant={emoji === option ? "secondary" : "ghost"}
+            role="radio"
+            aria-checked={emoji === option}
+            onClick={() => setEmoji(emoji === option ? "" : option)}
+          >
+            {option}
+          </Button>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2" role="radiogroup" aria-label="Cursor color">
+        <span className="text-sm text-muted-foreground mr-1">Color as others see you:</span>
+        {USER_COLOR_NAMES.map(option => (
+          <button
+            key={option}
+            type="button"
+            role="radio"
+            aria-checked={color === option}
+            aria-label={option}
+            title={option}
+            className={`size-5 rounded-full ${getColorClassByName(option)} ${color === option ? "ring-2 ring-ring ring-offset-2 ring-offset-background" : ""}`}
+            onClick={() => setColor(color === option ? "" : option)}
+          />
+        ))}
+      </div>
+    </form>
+  );
+}
@@ -1,128 +1,627 @@
-import { createClient } from '@/utils/supabase/client';
-
-// Room name is fixed as "Test1"
-const ROOM_NAME = 'Test1';
+import { createTransport } from '@/data/transports';
+import { isValidRoomId } from '@/utils/rooms';
+import { sanitizeProfile } from '@/utils/profile';
+import { generateId, getClientId, getSessionId, getUserId, renewSessionId } from '@/utils/identity';
+import { createLossTracker, createRateCounter, createRollingStats } from '@/utils/metrics';
+import { createClockSync } from '@/utils/clockSync';
+import { MAX_BATCH_SAMPLES, decodeCursorBatch, encodeCursorBatch, getRecentMotion } from '@/data/cursorCodec';
+import { createPayloadError, validatePayload } from '@/data/schemas';
+import { createSendRateController } from '@/data/sendRateController';
+import { createSenderKey, createSignatureVerifier, getSignedText, isSigningSupported } from '@/data/senderAuth';
+import { createEmitter } from '@/utils/emitter';
 
 // Ping measurement constants
 const PING_INTERVAL = 5000; // How often to measure ping (5 seconds)
 const PING_TIMEOUT = 10000; // How long to wait before considering a ping lost
+const MIN_CLOCK_SAMPLES = 4; // Round trips with the reference clock before we ping others again
+const RTT_WINDOW = 50; // Round trips kept for percentiles and jitter
+const PING_HISTORY_LENGTH = 30; // Pings kept for the history graph (2.5 minutes)
+const PING_PUBLISH_THRESHOLD = 20; // Republish our ping in presence once it has moved this many ms
+
+// Reconnection constants
+const RECONNECT_BASE_DELAY = 1000; // First retry after ~1 second
+const RECONNECT_MAX_DELAY = 30000; // Never wait more than 30 seconds between retries
+const MAX_RECONNECT_ATTEMPTS = 10; // Give up and report offline after this many failures
+
+// Cursor traffic constants. Motion is sampled at up to 60Hz and goes out in batches as
+// broadcasts at the send rate; presence only carries slow-changing state plus an
+// occasional position snapshot for late joiners.
+const SAMPLE_INTERVAL = 12; // Minimum ms between recorded samples; under 1000/60 so jittery 60Hz mouse events aren't dropped
+const DEFAULT_SEND_RATE = 15; // Cursor broadcasts per second (~4 samples each)
+const MAX_SEND_RATE = 60; // Upper bound for setSendRate
+const PRESENCE_SNAPSHOT_INTERVAL = 2000; // At most one presence position update per 2 seconds
+const REST_DELAY = 100; // Quiet ms after our last broadcast before we tell others our cursor stopped
+const RATE_UPDATE_INTERVAL = 2000; // How often the adaptive send rate reacts to network conditions
+const COALESCE_DISTANCE = 4; // Cursor drifts smaller than this (px) wait for a bigger batch...
+const COALESCE_INTERVAL = 250; // ...of up to this many ms
+
+// Cursor batches from senders not (yet) in presence are held back until they show up
+const QUARANTINE_TTL = 5000; // Drop a held batch if its sender hasn't appeared by then
+const MAX_QUARANTINED_SENDERS = 20; // Unknown senders we hold batches for at once
+
+/**
+ * Connection states reported through the "status" event
+ */
+export const CONNECTION_STATUS = {
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting',
+  OFFLINE: 'offline',
+};
+
+/**
+ * Events a connection emits (see connection.on()). Any other name is a custom
+ * event, sent to the room with connection.broadcastEvent().
+ */
+export const REALTIME_EVENTS = {
+  USERS: 'users', // Everyone in the room, ourselves included, after any change
+  USER_JOIN: 'user-join', // Someone else appeared in the room
+  USER_LEAVE: 'user-leave', // Someone else left, or was lost when our connection dropped
+  USER_MOVE: 'user-move', // Someone else's cursor moved
+  STATUS: 'status', // Our connection status changed
+  PING: 'ping', // A ping was measured
+  ERROR: 'error', // Something a developer should know about, e.g. an invalid payload
+};
+
+// Built-in events can't be sent as custom events
+const RESERVED_EVENT_NAMES = new Set(Object.values(REALTIME_EVENTS));
+
+/**
+ * A member of the room
+ * @typedef {Object} RoomUser
+ * @property {string} id - Client id (their presence key)
+ * @property {string} userId - Their per-browser user id
+ * @property {number} x - Cursor X in world coordinates
+ * @property {number} y - Cursor Y in world coordinates
+ * @property {number} [t] - Shared-clock time of their latest cursor sample, once one was broadcast
+ * @property {number|null} ping - Their own measured round trip in ms (-1 for timeouts, null until shared)
+ * @property {string} name - Display name, or ''
+ * @property {string} emoji - Avatar emoji, or ''
+ * @property {string} color - Chosen color name, or ''
+ */
 
 /**
- * Initialize the realtime connection to Supabase
- * @param {Function} onUsersUpdate - Callback function that receives updated users data
- * @param {Function} onPingUpdate - Callback function that receives ping measurements
+ * Handler signatures for the built-in events
+ * @typedef {{
+ *   'users': (users: RoomUser[]) => void,
+ *   'user-join': (user: RoomUser) => void,
+ *   'user-leave': (user: RoomUser) => void,
+ *   'user-move': (user: RoomUser) => void,
+ *   'status': (status: string) => void,
+ *   'ping': (pingTime: number|null) => void,
+ *   'error': (error: Error) => void,
+ * }} RealtimeEventHandlers
+ */
+
+/**
+ * Handler for a custom event
+ * @callback CustomEventHandler
+ * @param {*} data - The data passed to broadcastEvent()
+ * @param {{ senderId: string }} meta - Who sent it
+ */
+
+/**
+ * Initialize the realtime connection to Supabase. Listen to it with
+ * connection.on() (see REALTIME_EVENTS); the older positional form
+ * (roomId, onUsersUpdate, onPingUpdate, onStatusChange, options) still works,
+ * its callbacks being "users", "ping" and "status" listeners.
+ * @param {string} roomId - The room to join (see isValidRoomId)
+ * @param {Object} options - Connection options
+ * @param {import('@/data/transports').RealtimeTransport} options.transport - Transport to use instead of the one from NEXT_PUBLIC_REALTIME_TRANSPORT
+ * @param {Object} options.profile - Our display name, emoji and color { name, emoji, color }, shared through presence
+ * @param {Object} options.identity - Ids to use instead of the stored ones { userId, sessionId }
+ * @param {number} options.sendRate - Cursor broadcasts per second (default 15); the maximum when adaptive
+ * @param {boolean} options.adaptiveSendRate - Lower the send rate on slow or lossy links and in crowded rooms (default true)
+ * @param {Function} options.onCursorSamples - Receives (senderId, samples) for every received batch of
+ * timestamped cursor samples [{ x, y, t }], for interpolators that buffer samples themselves
+ * @param {Function} options.onError - Shorthand for an "error" listener. Errors are worth a developer's
+ * attention, such as payloads that failed schema validation (code "invalid-payload", see data/schemas.js)
+ * or a transport that can't verify who sent a broadcast (code "unverified-sender")
  * @returns {Object} - Functions to interact with the realtime connection
  */
-export function initRealtimeConnection(onUsersUpdate, onPingUpdate = () => {}) {
-  const supabase = createClient();
-  const clientId = generateClientId();
-  let channel;
+export function initRealtimeConnection(roomId, options = {}, ...legacyArgs) {
+  if (!isValidRoomId(roomId)) {
+    throw new Error(`Invalid room id: ${JSON.stringify(roomId)}`);
+  }
+
+  // Everything that happens on the connection goes out through here
+  const emitter = createEmitter();
+
+  // Older form: (roomId, onUsersUpdate, onPingUpdate, onStatusChange, options)
+  if (typeof options === 'function') {
+    const [onPingUpdate, onStatusChange] = legacyArgs;
+    emitter.on(REALTIME_EVENTS.USERS, options);
+    if (onPingUpdate) emitter.on(REALTIME_EVENTS.PING, onPingUpdate);
+    if (onStatusChange) emitter.on(REALTIME_EVENTS.STATUS, onStatusChange);
+    options = legacyArgs[2] || {};
+  }
+  if (options.onError) emitter.on(REALTIME_EVENTS.ERROR, options.onError);
+
+  const transport = options.transport || createTransport();
+  const onCursorSamples = options.onCursorSamples || (() => {});
+  // Who we are: one user id per browser, one session id per tab. The client id
+  // (our presence key) combines both, so two tabs of one user are distinct.
+  const userId = options.identity?.userId || getUserId();
+  let sessionId = options.identity?.sessionId || getSessionId();
+  let clientId = getClientId(userId, sessionId);
+  // Unique to this connection, to spot another tab using our presence key
+  const connectionRef = generateId();
+  let channel = null;
   let users = {};
+  // Presence keys on the channel; only these may move cursors
+  let roster = new Set();
+  // Whether we have warned that some broadcast senders can't be verified
+  let hasReportedUnverifiedSenders = false;
+  // Our signing key (see data/senderAuth.js), null until created or where WebCrypto is missing
+  let senderKey = null;
+  const senderKeyReady = isSigningSupported()
+    ? createSenderKey()
+      .then(key => { senderKey = key; })
+      .catch(error => console.error('Error creating signing key:', error))
+    : Promise.resolve();
+  // Signature checks for members who publish a key: presenceId -> { publicKey, verify },
+  // with verify null when several presences under one key disagree on it
+  const peerVerifiers = new Map();
+  // Each sender's broadcasts still being verified, so they are handled in arrival order
+  const pendingVerifications = new Map();
+  // Broadcasts waiting for their signature, so they go out in order
+  let sendQueue = Promise.resolve();
+  // Latest batch from each sender we don't know yet: senderId -> { samples, seq, rawPayload, receivedAt }
+  const quarantine = new Map();
+  // Newest sequence number applied per sender, so late updates can't move a cursor back
+  const appliedSequences = new Map();
+  // Each sender's connectionRef; a new one means a restarted client numbering from 1 again
+  const senderRefs = new Map();
+  
+  // Connection state machine variables
+  let status = null;
+  let reconnectTimer = null;
+  let reconnectAttempts = 0;
+  let intentionalDisconnect = false;
+  
+  // Last position we sent, replayed after a reconnect
+  let lastPosition = { x: 0, y: 0 };
+  let hasMoved = false;
+  
+  // Cursor send scheduling: trailing-edge throttles, so the final position always goes out
+  let sendRate = clampSendRate(options.sendRate || DEFAULT_SEND_RATE);
+  let adaptiveSendRate = options.adaptiveSendRate ?? true;
+  const sendRateController = createSendRateController({ maxRate: sendRate });
+  let rateControlInterval = null;
+  let broadcastTimer = null;
+  let lastBroadcastTime = -Infinity;
+  let lastBroadcastPosition = null;
+  let snapshotTimer = null;
+  let lastSnapshotTime = -Infinity;
+  let restTimer = null;
+  
+  // Cursor samples waiting for the next broadcast: [{ x, y, t }]
+  let pendingSamples = [];
+  let lastSampleTime = -Infinity;
+  
+  // Timers replaying received sample batches, keyed by sender id
+  const playbackTimers = {};
+  
+  // Message counters, to keep an eye on our realtime quota
+  const messageCounters = {
+    broadcast: createRateCounter(),
+    presence: createRateCounter(),
+    received: createRateCounter(),
+    rejected: createRateCounter(),
+    stale: createRateCounter(),
+  };
+  // Payloads that failed schema validation: totals per direction and per event
+  const droppedCounts = { send: 0, receive: 0, byEvent: {} };
+  // Invalid presences already reported, so each bad state is reported once, not on every sync
+  const reportedPresences = new WeakSet();
+  
+  // Our broadcasts are numbered so receivers can spot lost messages and drop
+  // out-of-order ones, and theirs for us. Presence carries the latest number too.
+  let broadcastSequence = 0;
+  const lossTracker = createLossTracker();
+  
+  // Display name, emoji and color shared with everyone through presence
+  let profile = sanitizeProfile(options.profile);
   
   // Ping measurement variables
   let pingInterval = null;
-  let pingTimeout = null;
-  let pingStartTime = 0;
+  let pingSequence = 0;
   let currentPing = 0;
+  // Outstanding ping requests keyed by requestId: { startTime, timeoutId }
+  const pendingPings = new Map();
+  
+  // Peers' clock offsets, from the timestamps carried by pings
+  const clockSync = createClockSync();
+  
+  // Connection quality: recent round trip times, and the last pings (null = timed out) for graphs
+  const rttStats = createRollingStats(RTT_WINDOW);
+  let pingHistory = [];
+  // The ping we last shared through presence, so others can see our connection quality
+  let publishedPing = null;
 
   /**
-   * Connect to the realtime channel
+   * Connect to the realtime channel. Progress is reported through
+   * the "status" event; lost connections are retried automatically.
    */
   const connect = async () => {
-    console.log('Connecting to Supabase realtime channel...');
+    intentionalDisconnect = false;
+    reconnectAttempts = 0;
+    addLifecycleListeners();
+
+    if (isBrowserOffline()) {
+      setStatus(CONNECTION_STATUS.OFFLINE);
+      return;
+    }
+
+    // Our public key goes into presence, so it has to exist before we join
+    await senderKeyReady;
+    if (intentionalDisconnect) return;
+
+    setStatus(CONNECTION_STATUS.CONNECTING);
+    joinChannel();
+  };
+
+  /**
+   * Create a fresh channel for the room and subscribe to it
+   */
+  const joinChannel = () => {
+    console.log(`Connecting to ${transport.name} realtime channel...`);
     
-    // Create a channel for the Test1 room
-    channel = supabase.channel(`room:${ROOM_NAME}`, {
-      config: {
-        broadcast: { self: false }, // Don't receive our own broadcasts
-        presence: {
-          key: clientId,
-        },
-      },
+    // Create a channel for this room
+    const joiningChannel = transport.channel(`room:${roomId}`, {
+      presenceKey: clientId,
     });
+    channel = joiningChannel;
+    
+    // Whatever was sent while we were away isn't network loss
+    lossTracker.reset();
+
+    // Ignore events from channels we have already torn down
+    const isCurrent = () => joiningChannel === channel;
 
     // Set up presence tracking
-    channel
-      .on('presence', { event: 'sync' }, () => {
+    joiningChannel
+      .onPresence('sync', () => {
+        if (!isCurrent()) return;
         console.log('Presence sync event received');
         // Get the current state of all users in the room
-        const state = channel.presenceState();
+        const state = joiningChannel.presenceState();
         console.log('Current presence state:', state);
+        roster = new Set(Object.keys(state));
+        
+        // Someone else is using our presence key (e.g. a duplicated tab copied our session id)
+        const ownPresences = state[clientId] || [];
+        if (ownPresences.some(presence => presence.connectionRef !== connectionRef)) {
+          handlePresenceKeyCollision(ownPresences);
+          return;
+        }
         
-        // Update our local users object
+        // Merge presence into our users: profile and ping always come from presence,
+        // a position only if it is newer than the last broadcast we applied
+        const previousUsers = users;
         users = {};
         Object.keys(state).forEach(presenceId => {
-          const presenceData = state[presenceId][0];
+          // Our own entry comes from local state below
+          if (presenceId === clientId) return;
+          
+          // A key can briefly hold several presences; the newest one wins
+          const presences = state[presenceId];
+          const newestPresence = presences[presences.length - 1];
+          if (reportedPresences.has(newestPresence)) return;
+          const presenceData = checkPayload('presence', newestPresence, 'receive');
+          if (!presenceData) {
+            reportedPresences.add(newestPresence);
+            return;
+          }
+
+          updatePeerVerifier(presenceId, presences);
+          if (presenceData.connectionRef && senderRefs.get(presenceId) !== presenceData.connectionRef) {
+            senderRefs.set(presenceId, presenceData.connectionRef);
+            appliedSequences.delete(presenceId);
+          }
+          const previous = previousUsers[presenceId];
+          const isPositionFresh = acceptSequence(presenceId, presenceData.seq) || !previous;
+
           users[presenceId] = {
             id: presenceId,
-            x: presenceData.x || 0,
-            y: presenceData.y || 0,
+            userId: presenceData.userId || presenceId,
+            x: isPositionFresh ? presenceData.x || 0 : previous.x,
+            y: isPositionFresh ? presenceData.y || 0 : previous.y,
+            t: isPositionFresh ? undefined : previous.t,
+            // Their own measured round trip (null until shared, -1 for timeouts)
+            ping: Number.isFinite(presenceData.ping) ? presenceData.ping : null,
+            ...sanitizeProfile(presenceData),
           };
         });
         
-        // Add ourselves to the users list if not already present
-        if (!users[clientId]) {
-          users[clientId] = {
-            id: clientId,
-            x: 0,
-            y: 0,
-          };
-        }
+        // Add ourselves to the users list
+        users[clientId] = {
+          id: clientId,
+          userId,
+          x: lastPosition.x,
+          y: lastPosition.y,
+          ping: publishedPing,
+          ...profile,
+        };
         
-        // Call the callback with updated users
-        onUsersUpdate(Object.values(users));
+        // Forget the keys of members who have gone
+        peerVerifiers.forEach((_, presenceId) => {
+          if (!users[presenceId]) peerVerifiers.delete(presenceId);
+        });
+        
+        announceMembershipChanges(previousUsers);
+        emitUsers();
+        releaseQuarantine();
       })
-      .on('presence', { event: 'join' }, ({ key, newPresences }) => {
+      .onPresence('join', ({ key, newPresences }) => {
         console.log(`User ${key} joined the room`, newPresences);
       })
-      .on('presence', { event: 'leave' }, ({ key }) => {
+      .onPresence('leave', ({ key }) => {
+        // A duplicate of our key leaving doesn't mean we left
+        if (!isCurrent() || key === clientId) return;
         console.log(`User ${key} left the room`);
         // Remove the user from our local state
+        roster.delete(key);
+        quarantine.delete(key);
+        appliedSequences.delete(key);
+        senderRefs.delete(key);
+        peerVerifiers.delete(key);
+        const leavingUser = users[key];
         delete users[key];
-        onUsersUpdate(Object.values(users));
+        (playbackTimers[key] || []).forEach(clearTimeout);
+        delete playbackTimers[key];
+        clockSync.removePeer(key);
+        lossTracker.removeSender(key);
+        if (leavingUser) emitter.emit(REALTIME_EVENTS.USER_LEAVE, leavingUser);
+        emitUsers();
       })
-      .on('broadcast', { event: 'mouse-move' }, (payload) => {
+      .onBroadcast('mouse-move', (rawPayload, meta) => {
+        if (!isCurrent()) return;
+        const payload = checkPayload('mouse-move', rawPayload, 'receive');
+        if (!payload || isSpoofedSender(payload.senderId, meta)) return;
         console.log('Received mouse-move broadcast:', payload);
-        // Update the user's position in our local state
-        const { senderId, x, y } = payload.payload;
-        
-        if (users[senderId]) {
-          users[senderId].x = x;
-          users[senderId].y = y;
-          onUsersUpdate(Object.values(users));
-        } else {
-          // If user doesn't exist yet, add them
-          users[senderId] = { id: senderId, x, y };
-          onUsersUpdate(Object.values(users));
+        const { senderId, samples } = decodeCursorBatch(payload);
+
+        // Nobody by that name is in the room (yet): hold the batch until they join
+        if (!roster.has(senderId)) {
+          messageCounters.received.record();
+          quarantineSamples(senderId, samples, payload.seq, rawPayload);
+          return;
+        }
+
+        handleVerified('mouse-move', rawPayload, () => {
+          recordReceived(payload);
+          deliverSequencedSamples(senderId, samples, payload.seq);
+        });
+      })
+      .onBroadcast('custom', (rawPayload, meta) => {
+        if (!isCurrent()) return;
+        const payload = checkPayload('custom', rawPayload, 'receive');
+        if (!payload || isSpoofedSender(payload.senderId, meta)) return;
+
+        // Custom events only come from room members, and can't pose as built-in events
+        if (!roster.has(payload.senderId) || RESERVED_EVENT_NAMES.has(payload.event)) {
+          recordReceived(payload);
+          return;
         }
+        handleVerified('custom', rawPayload, () => {
+          recordReceived(payload);
+          emitter.emit(payload.event, payload.data, { senderId: payload.senderId });
+        });
       })
-      .on('broadcast', { event: 'ping' }, (payload) => {
-        // We're now handling ping differently, but keep this listener for compatibility
-        console.log('Received ping broadcast:', payload);
+      .onBroadcast('ping', (rawPayload, meta) => {
+        if (!isCurrent()) return;
+        const payload = checkPayload('ping', rawPayload, 'receive');
+        if (!payload || isSpoofedSender(payload.senderId, meta)) return;
+        handleVerified('ping', rawPayload, () => {
+          recordReceived(payload);
+          handlePingMessage(payload);
+        });
       });
 
     // Subscribe to the channel
-    try {
-      await channel.subscribe(async (status) => {
-        console.log('Subscription status:', status);
-        if (status === 'SUBSCRIBED') {
-          console.log('Successfully subscribed to channel');
-          // Track presence when we're subscribed
-          await channel.track({
-            x: 0,
-            y: 0,
-          });
-          console.log('Initial presence tracked');
-          
-          // Start measuring ping once connected
-          startPingMeasurement();
+    joiningChannel.subscribe(async (subscriptionStatus, error) => {
+      if (!isCurrent()) return;
+      console.log('Subscription status:', subscriptionStatus);
+
+      if (subscriptionStatus !== 'SUBSCRIBED') {
+        console.warn(`Channel ${subscriptionStatus}`, error || '');
+        handleConnectionLost();
+        return;
+      }
+
+      console.log('Successfully subscribed to channel');
+      reconnectAttempts = 0;
+      setStatus(CONNECTION_STATUS.CONNECTED);
+      if (!senderKey) reportUnverifiedSenders('this connection can\'t sign its broadcasts (WebCrypto needs a secure context)');
+
+      try {
+        // Re-track presence with our last known position so others see us where we left off
+        await trackPresence();
+        console.log('Presence tracked');
+
+        // Replay the last cursor position to anyone who missed it while we were away
+        if (hasMoved) {
+          await broadcastPosition();
         }
-      });
-    } catch (error) {
-      console.error('Error subscribing to channel:', error);
-      throw error;
+      } catch (trackError) {
+        console.error('Error restoring presence:', trackError);
+      }
+      
+      // Start measuring ping once connected
+      startPingMeasurement();
+      startRateControl();
+    });
+  };
+
+  /**
+   * Leave the current channel after losing the connection, and stop everything
+   * that sends on it or plays back what came through it
+   */
+  const tearDownChannel = () => {
+    stopPingMeasurement();
+    stopRateControl();
+    clearSendTimers();
+    clearPlaybackTimers();
+    leaveChannel();
+
+    // Everyone else is unknown until we resync, so don't show them as ghosts
+    const previousUsers = users;
+    users = users[clientId] ? { [clientId]: users[clientId] } : {};
+    announceMembershipChanges(previousUsers);
+    emitUsers();
+  };
+
+  /**
+   * Tear down the current channel and schedule a retry
+   */
+  const handleConnectionLost = () => {
+    if (intentionalDisconnect || reconnectTimer) return;
+
+    tearDownChannel();
+
+    if (isBrowserOffline() || reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+      // Wait for the browser to come back online (or a manual reconnect)
+      setStatus(CONNECTION_STATUS.OFFLINE);
+      return;
+    }
+
+    const delay = getReconnectDelay(reconnectAttempts);
+    reconnectAttempts++;
+    setStatus(CONNECTION_STATUS.RECONNECTING);
+    console.log(`Reconnecting in ${Math.round(delay)}ms (attempt ${reconnectAttempts})`);
+
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      joinChannel();
+    }, delay);
+  };
+
+  /**
+   * Resolve two connections sharing our presence key: the one with the lowest
+   * connectionRef keeps the key, every other one takes a new session id and rejoins
+   * @param {Array} ownPresences - Presences tracked under our key
+   */
+  const handlePresenceKeyCollision = (ownPresences) => {
+    const refs = ownPresences.map(presence => presence.connectionRef).filter(Boolean).sort();
+    if (refs[0] === connectionRef) return;
+
+    const previousClientId = clientId;
+    sessionId = renewSessionId();
+    clientId = getClientId(userId, sessionId);
+    console.warn(`Presence key ${previousClientId} is already in use, rejoining as ${clientId}`);
+
+    delete users[previousClientId];
+    reconnect();
+  };
+
+  /**
+   * Drop the current channel and rejoin immediately, resetting the backoff
+   */
+  const reconnect = () => {
+    if (intentionalDisconnect) return;
+
+    clearReconnectTimer();
+    stopPingMeasurement();
+    stopRateControl();
+    leaveChannel();
+    reconnectAttempts = 0;
+    setStatus(CONNECTION_STATUS.RECONNECTING);
+    joinChannel();
+  };
+
+  /**
+   * Remove the current channel from the client
+   */
+  const leaveChannel = () => {
+    const leavingChannel = channel;
+    channel = null;
+    roster = new Set();
+    quarantine.clear();
+    appliedSequences.clear();
+    senderRefs.clear();
+    peerVerifiers.clear();
+    pendingVerifications.clear();
+
+    if (leavingChannel) {
+      leavingChannel.unsubscribe()
+        .catch(error => console.error('Error removing channel:', error));
     }
   };
+
+  /**
+   * Cancel a pending reconnect attempt
+   */
+  const clearReconnectTimer = () => {
+    if (reconnectTimer) {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+    }
+  };
+
+  /**
+   * Tell listeners about the current room members
+   */
+  const emitUsers = () => {
+    emitter.emit(REALTIME_EVENTS.USERS, Object.values(users));
+  };
+
+  /**
+   * Tell listeners who joined and who left since an earlier list of users
+   * @param {Object} previousUsers - Users keyed by client id, before the change
+   */
+  const announceMembershipChanges = (previousUsers) => {
+    Object.keys(previousUsers).forEach(id => {
+      if (!users[id] && id !== clientId) emitter.emit(REALTIME_EVENTS.USER_LEAVE, previousUsers[id]);
+    });
+    Object.keys(users).forEach(id => {
+      if (!previousUsers[id] && id !== clientId) emitter.emit(REALTIME_EVENTS.USER_JOIN, users[id]);
+    });
+  };
+
+  /**
+   * Update the connection status and notify listeners
+   * @param {string} nextStatus - One of CONNECTION_STATUS
+   */
+  const setStatus = (nextStatus) => {
+    if (status === nextStatus) return;
+    status = nextStatus;
+    emitter.emit(REALTIME_EVENTS.STATUS, nextStatus);
+  };
+
+  /**
+   * React to the browser going offline/online or the tab waking up
+   */
+  const handleOnline = () => {
+    if (status !== CONNECTION_STATUS.CONNECTED) reconnect();
+  };
+
+  const handleOffline = () => {
+    clearReconnectTimer();
+    tearDownChannel();
+    setStatus(CONNECTION_STATUS.OFFLINE);
+  };
+
+  const handleVisibilityChange = () => {
+    // Timers are throttled while hidden or asleep, so retry straight away on return
+    if (document.visibilityState === 'visible' && status !== CONNECTION_STATUS.CONNECTED && !isBrowserOffline()) {
+      reconnect();
+    }
+  };
+
+  const addLifecycleListeners = () => {
+    if (typeof window === 'undefined') return;
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+  };
+
+  const removeLifecycleListeners = () => {
+    if (typeof window === 'undefined') return;
+    window.removeEventListener('online', handleOnline);
+    window.removeEventListener('offline', handleOffline);
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+  };
   
   /**
    * Start periodic ping measurements
@@ -141,143 +640,889 @@ export function initRealtimeConnection(onUsersUpdate, onPingUpdate = () => {}) {
       measurePing();
     }, PING_INTERVAL);
   };
+
+  /**
+   * Stop ping measurements and forget outstanding requests
+   */
+  const stopPingMeasurement = () => {
+    if (pingInterval) {
+      clearInterval(pingInterval);
+      pingInterval = null;
+    }
+
+    pendingPings.forEach(({ timeoutId }) => clearTimeout(timeoutId));
+    pendingPings.clear();
+  };
   
   /**
-   * Measure current ping to the server
+   * Measure the current round trip time through the realtime server.
+   * A ping request is addressed to one other user in the room, who echoes it
+   * back as a response with the same requestId. Without another user in the
+   * room there is nobody to echo, so no measurement is taken.
    */
   const measurePing = () => {
-    // Don't start a new ping if we're still waiting for a response
-    if (pingTimeout) return;
-    
-    const requestId = Date.now().toString();
-    pingStartTime = performance.now();
-    
-    // Set a timeout for ping response
-    pingTimeout = setTimeout(() => {
-      console.log('Ping timeout - no response received');
-      onPingUpdate(-1); // -1 indicates timeout
-      pingTimeout = null;
+    if (!channel) return;
+
+    const peerIds = Object.keys(users).filter(id => id !== clientId);
+    if (peerIds.length === 0) {
+      currentPing = null;
+      emitter.emit(REALTIME_EVENTS.PING, null);
+      return;
+    }
+
+    // Until we know the reference clock well, ping its owner; after that, anyone
+    const referenceId = getReferenceClockId();
+    const needsClockSamples = referenceId !== clientId && (clockSync.getPeerClock(referenceId)?.samples ?? 0) < MIN_CLOCK_SAMPLES;
+    const targetId = needsClockSamples ? referenceId : peerIds[Math.floor(Math.random() * peerIds.length)];
+    const requestId = `${clientId}-${++pingSequence}`;
+
+    // Set a timeout for this ping's response
+    const timeoutId = setTimeout(() => {
+      if (!pendingPings.delete(requestId)) return;
+      console.log(`Ping ${requestId} timed out - no response received`);
+      recordPingResult(null);
+      currentPing = -1;
+      publishPing(-1);
+      emitter.emit(REALTIME_EVENTS.PING, -1); // -1 indicates timeout
     }, PING_TIMEOUT);
-    
-    // For Supabase realtime, we'll measure ping by sending a message and then
-    // immediately responding to our own message with a simulated response
-    try {
-      // Send ping request
-      channel.send({
-        type: 'broadcast',
-        event: 'ping',
-        payload: {
-          type: 'request',
-          requestId,
-          senderId: clientId
-        },
-      });
+
+    pendingPings.set(requestId, { startTime: performance.now(), timeoutId });
+
+    sendBroadcast('ping', {
+      type: 'request',
+      requestId,
+      senderId: clientId,
+      targetId,
+      sentAt: Date.now(),
+    }).then((sendStatus) => {
+      if (sendStatus !== 'ok') failPing(requestId, sendStatus);
+    }).catch((error) => {
+      failPing(requestId, error);
+    });
+  };
+
+  /**
+   * Handle an incoming ping message addressed to us
+   * @param {Object} message - The ping payload
+   */
+  const handlePingMessage = ({ type, requestId, senderId, targetId, sentAt, requestSentAt, receivedAt }) => {
+    if (targetId !== clientId) return;
+
+    if (type === 'request') {
+      const requestReceivedAt = Date.now();
+      // Echo the request straight back to whoever sent it, with our clock readings
+      sendBroadcast('ping', {
+        type: 'response',
+        requestId,
+        senderId: clientId,
+        targetId: senderId,
+        requestSentAt: sentAt,
+        receivedAt: requestReceivedAt,
+        sentAt: Date.now(),
+      }).catch(error => console.error('Error answering ping:', error));
+      return;
+    }
+
+    if (type === 'response') {
+      const pending = pendingPings.get(requestId);
+      // Unknown or already timed out
+      if (!pending) return;
+
+      clearTimeout(pending.timeoutId);
+      pendingPings.delete(requestId);
+
+      const pingTime = Math.round(performance.now() - pending.startTime);
+      recordPingResult(pingTime);
+      currentPing = pingTime;
+      publishPing(pingTime);
       
-      // Since Supabase realtime doesn't echo our own messages by default,
-      // we'll simulate a response after a tiny delay to measure the round trip
-      setTimeout(() => {
-        const endTime = performance.now();
-        // Add a small artificial delay to account for real network latency
-        const pingTime = Math.round(endTime - pingStartTime) + 5;
-        currentPing = pingTime;
-        
-        // Clear the timeout since we got a response
-        if (pingTimeout) {
-          clearTimeout(pingTimeout);
-          pingTimeout = null;
-        }
-        
-        // Notify about the ping update
-        onPingUpdate(pingTime);
-        console.log(`Ping: ${pingTime}ms`);
-      }, 5);
-    } catch (error) {
-      console.error('Error sending ping:', error);
-      if (pingTimeout) {
-        clearTimeout(pingTimeout);
-        pingTimeout = null;
+      // Clients without clock sync don't send timestamps
+      if (requestSentAt !== undefined && receivedAt !== undefined && sentAt !== undefined) {
+        clockSync.addSample(senderId, requestSentAt, receivedAt, sentAt, Date.now());
       }
-      onPingUpdate(-1);
+      emitter.emit(REALTIME_EVENTS.PING, pingTime);
+      console.log(`Ping: ${pingTime}ms`);
     }
   };
 
   /**
-   * Update the mouse position
-   * @param {number} x - Mouse X coordinate
-   * @param {number} y - Mouse Y coordinate
+   * Share our ping through presence when it has changed noticeably. Pings are
+   * measured every few seconds; small wobbles aren't worth a presence update.
+   * @param {number} pingTime - Round trip in ms, or -1 for a timeout
    */
-  const updateMousePosition = async (x, y) => {
-    if (!channel) {
-      console.warn('Cannot update position: channel not initialized');
+  const publishPing = (pingTime) => {
+    const hasChanged = publishedPing === null
+      || (pingTime < 0) !== (publishedPing < 0)
+      || Math.abs(pingTime - publishedPing) >= PING_PUBLISH_THRESHOLD;
+    if (!hasChanged || !channel || status !== CONNECTION_STATUS.CONNECTED) return;
+
+    publishedPing = pingTime;
+    if (users[clientId]) users[clientId].ping = pingTime;
+    trackPresence().catch(error => console.error('Error sharing ping:', error));
+  };
+
+  /**
+   * Get whose clock the room agrees on: the member with the lowest client id.
+   * Every client sees the same members, so every client picks the same one.
+   * @returns {string} - Client id of the reference clock's owner (may be us)
+   */
+  const getReferenceClockId = () => {
+    return Object.keys(users).reduce((lowest, id) => (id < lowest ? id : lowest), clientId);
+  };
+
+  /**
+   * Get the room's shared time: the reference member's clock, as best we can
+   * estimate it. Falls back to our own clock until we've measured theirs.
+   * @returns {number} - Milliseconds since the epoch on the shared clock
+   */
+  const getServerTime = () => {
+    return Date.now() + getClockOffset();
+  };
+
+  /**
+   * Get how far the shared clock is ahead of ours
+   * @returns {number} - Offset in ms (0 if we are the reference or haven't measured it yet)
+   */
+  const getClockOffset = () => {
+    const referenceId = getReferenceClockId();
+    if (referenceId === clientId) return 0;
+    return clockSync.getPeerClock(referenceId)?.offset ?? 0;
+  };
+
+  /**
+   * Get our estimate of a peer's clock
+   * @param {string} peerId - The peer's client id
+   * @returns {Object|null} - { offset, delay, oneWayDelay, samples } in ms, or null if never measured
+   */
+  const getPeerClock = (peerId) => {
+    return clockSync.getPeerClock(peerId);
+  };
+
+  /**
+   * Report a ping request that could not be sent
+   * @param {string} requestId - The failed request
+   * @param {*} reason - Send status or error
+   */
+  const failPing = (requestId, reason) => {
+    const pending = pendingPings.get(requestId);
+    if (!pending) return;
+
+    console.error('Error sending ping:', reason);
+    clearTimeout(pending.timeoutId);
+    pendingPings.delete(requestId);
+    recordPingResult(null);
+    currentPing = -1;
+    publishPing(-1);
+    emitter.emit(REALTIME_EVENTS.PING, -1);
+  };
+
+  /**
+   * Get the state we publish through presence
+   * @returns {Object} - Our ids, last position, ping, sequence number and profile { userId, connectionRef, x, y, ping, seq, name, emoji, color }
+   */
+  const getPresenceState = () => ({
+    userId,
+    connectionRef,
+    x: lastPosition.x,
+    y: lastPosition.y,
+    ping: publishedPing,
+    seq: broadcastSequence,
+    publicKey: senderKey?.publicKey,
+    ...profile,
+  });
+
+  /**
+   * Change our display name, emoji and color
+   * @param {Object} newProfile - The new profile { name, emoji, color }
+   */
+  const updateProfile = async (newProfile) => {
+    profile = sanitizeProfile(newProfile);
+
+    if (users[clientId]) {
+      users[clientId] = { ...users[clientId], ...profile };
+      emitUsers();
+    }
+
+    if (!channel || status !== CONNECTION_STATUS.CONNECTED) {
       return;
     }
 
     try {
-      // Update our presence data
-      await channel.track({
-        x,
-        y,
-      });
-      
-      // Update our local state
-      if (users[clientId]) {
-        users[clientId].x = x;
-        users[clientId].y = y;
-        onUsersUpdate(Object.values(users));
+      await trackPresence();
+    } catch (error) {
+      console.error('Error updating profile:', error);
+    }
+  };
+
+  /**
+   * Send a broadcast on the current channel, signed with our key and counted
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   * @returns {Promise<string>} - The transport's send status, or "invalid" if the payload failed validation
+   */
+  const sendBroadcast = (event, payload) => {
+    if (!checkPayload(event, payload, 'send')) return Promise.resolve('invalid');
+    messageCounters.broadcast.record();
+    const message = { ...payload, seq: ++broadcastSequence };
+    const sendingChannel = channel;
+
+    // Signing is asynchronous, so sends queue up behind each other to keep their order
+    const sent = sendQueue.then(async () => {
+      if (senderKey) {
+        try {
+          message.sig = await senderKey.sign(getSignedText(roomId, event, message));
+        } catch (error) {
+          console.error('Error signing broadcast:', error);
+          return 'error';
+        }
       }
+      return sendingChannel.broadcast(event, message);
+    });
+    sendQueue = sent.catch(() => {});
+    return sent;
+  };
+
+  /**
+   * Check a payload against its schema. Failures are counted, logged and reported
+   * through the "error" event; the payload must then not be sent or used.
+   * @param {string} event - Event name, a key of REALTIME_SCHEMAS
+   * @param {*} payload - The payload
+   * @param {string} direction - "send" or "receive"
+   * @returns {Object|null} - The validated payload (unknown fields stripped), or null
+   */
+  const checkPayload = (event, payload, direction) => {
+    const result = validatePayload(event, payload);
+    if (result.success) return result.data;
+
+    const error = createPayloadError(event, direction, result.error, payload);
+    droppedCounts[direction]++;
+    droppedCounts.byEvent[event] = (droppedCounts.byEvent[event] || 0) + 1;
+    // Sending one is our bug; receiving one means a buggy, outdated or hostile peer
+    if (direction === 'send') {
+      console.error(error.message, payload);
+    } else {
+      console.warn(error.message, payload);
+    }
+    emitter.emit(REALTIME_EVENTS.ERROR, error);
+    return null;
+  };
+
+  /**
+   * Count a received broadcast and check its sequence number for gaps
+   * @param {Object} payload - The broadcast payload { senderId, seq }
+   */
+  const recordReceived = ({ senderId, seq }) => {
+    messageCounters.received.record();
+    if (senderId && Number.isInteger(seq)) {
+      lossTracker.record(senderId, seq);
+    }
+  };
+
+  /**
+   * Check a broadcast's claimed sender. Anyone on the channel can put any senderId
+   * in a payload, but they can't send as us (our own broadcasts never come back),
+   * and transports that know who really sent a message pass it as meta.senderKey.
+   * Other members are checked by signature (see verifySender).
+   * @param {string} senderId - Sender id claimed by the payload
+   * @param {Object} meta - Transport metadata, { senderKey } where the transport stamps senders
+   * @returns {boolean} - Whether the broadcast is forged and should be dropped
+   */
+  const isSpoofedSender = (senderId, meta) => {
+    const isSpoofed = senderId === clientId
+      || (meta?.senderKey !== undefined && meta.senderKey !== senderId);
+
+    if (isSpoofed) {
+      messageCounters.rejected.record();
+      console.warn(`Dropped broadcast claiming to be from ${senderId}`, meta?.senderKey ? `(sent by ${meta.senderKey})` : '');
+    }
+    return isSpoofed;
+  };
+
+  /**
+   * Warn once when some broadcasts can't be verified: ours, because we couldn't
+   * make a signing key, or a member's, because they publish no key. Their
+   * broadcasts are still accepted, so a room member can send as them.
+   * @param {string} reason - Why, for the error message
+   */
+  const reportUnverifiedSenders = (reason) => {
+    if (transport.stampsSender || hasReportedUnverifiedSenders) return;
+    hasReportedUnverifiedSenders = true;
+
+    const error = new Error(`Unverified broadcast senders: ${reason}; any room member can send as them`);
+    error.code = 'unverified-sender';
+    error.transport = transport.name;
+    console.warn(error.message);
+    emitter.emit(REALTIME_EVENTS.ERROR, error);
+  };
+
+  /**
+   * Update the signature check for a member from their presences. Presence keys
+   * whose presences disagree on the public key get no valid key at all, so
+   * tracking a second presence under someone's key can't take over their cursor.
+   * @param {string} presenceId - The member's presence key
+   * @param {Array} presences - Every presence under that key
+   */
+  const updatePeerVerifier = (presenceId, presences) => {
+    if (!isSigningSupported()) return;
+    const publicKeys = new Set(presences
+      .map(presence => presence.publicKey)
+      .filter(publicKey => typeof publicKey === 'string'));
+
+    if (publicKeys.size === 0) {
+      peerVerifiers.delete(presenceId);
+      reportUnverifiedSenders(`${presenceId} doesn't sign their broadcasts`);
+    } else if (publicKeys.size > 1) {
+      console.warn(`Presences under ${presenceId} publish different signing keys; dropping their broadcasts`);
+      peerVerifiers.set(presenceId, { publicKey: null, verify: null });
+    } else {
+      const [publicKey] = publicKeys;
+      if (peerVerifiers.get(presenceId)?.publicKey === publicKey) return;
+      peerVerifiers.set(presenceId, { publicKey, verify: createSignatureVerifier(publicKey) });
+    }
+  };
 
-      // Broadcast the mouse position to all clients
-      await channel.send({
-        type: 'broadcast',
-        event: 'mouse-move',
-        payload: {
-          senderId: clientId,
-          x,
-          y,
-        },
+  /**
+   * Check a broadcast's signature against the key its claimed sender published
+   * in presence. Senders who publish no key can't be checked and pass.
+   * @param {string} event - Broadcast event name
+   * @param {Object} rawPayload - The payload as received, with its signature
+   * @returns {Promise<boolean>} - Whether the broadcast may be used
+   */
+  const verifySender = async (event, rawPayload) => {
+    const { sig, ...signedPayload } = rawPayload;
+    const peer = peerVerifiers.get(rawPayload.senderId);
+    if (!peer) return true;
+
+    const isAuthentic = Boolean(peer.verify && sig)
+      && await peer.verify(getSignedText(roomId, event, signedPayload), sig);
+    if (!isAuthentic) {
+      messageCounters.rejected.record();
+      console.warn(`Dropped ${event} broadcast without a valid signature from ${rawPayload.senderId}`);
+    }
+    return isAuthentic;
+  };
+
+  /**
+   * Run a broadcast handler once its signature checks out. Checks are
+   * asynchronous, so each sender's broadcasts wait for the ones before them.
+   * @param {string} event - Broadcast event name
+   * @param {Object} rawPayload - The payload as received, with its signature
+   * @param {Function} handle - Called if the broadcast is authentic and its channel is still ours
+   */
+  const handleVerified = (event, rawPayload, handle) => {
+    const { senderId } = rawPayload;
+    const verifyingChannel = channel;
+    const previous = pendingVerifications.get(senderId) || Promise.resolve();
+
+    const verified = previous
+      .then(() => verifySender(event, rawPayload))
+      .then(isAuthentic => {
+        if (isAuthentic && channel === verifyingChannel) handle();
+      })
+      .catch(error => console.error(`Error handling ${event} broadcast:`, error))
+      .finally(() => {
+        if (pendingVerifications.get(senderId) === verified) pendingVerifications.delete(senderId);
       });
-      
-      console.log('Mouse position sent:', { x, y });
+    pendingVerifications.set(senderId, verified);
+  };
+
+  /**
+   * Hold a cursor batch from a sender that isn't in presence. Broadcasts can
+   * overtake a newcomer's presence, so we keep their latest batch for a while
+   * rather than dropping it, but never create users from broadcasts alone.
+   * @param {string} senderId - Who sent the samples
+   * @param {Array} samples - Samples [{ x, y, t }], oldest first
+   * @param {number} seq - The batch's sequence number, if it has one
+   * @param {Object} rawPayload - The batch as received, to check its signature on release
+   */
+  const quarantineSamples = (senderId, samples, seq, rawPayload) => {
+    const held = quarantine.get(senderId);
+    if (!held && quarantine.size >= MAX_QUARANTINED_SENDERS) {
+      console.warn(`Dropped cursor update from unknown sender ${senderId}`);
+      return;
+    }
+    // Keep the newest batch, whatever order they arrived in
+    if (held && seq !== undefined && held.seq !== undefined && seq <= held.seq) return;
+    quarantine.set(senderId, { samples, seq, rawPayload, receivedAt: Date.now() });
+  };
+
+  /**
+   * Deliver held batches whose senders have appeared in presence, and drop expired ones
+   */
+  const releaseQuarantine = () => {
+    const now = Date.now();
+    quarantine.forEach(({ samples, seq, rawPayload, receivedAt }, senderId) => {
+      if (roster.has(senderId)) {
+        quarantine.delete(senderId);
+        handleVerified('mouse-move', rawPayload, () => deliverSequencedSamples(senderId, samples, seq));
+      } else if (now - receivedAt > QUARANTINE_TTL) {
+        quarantine.delete(senderId);
+        console.warn(`Dropped cursor update from ${senderId}, who never joined the room`);
+      }
+    });
+  };
+
+  /**
+   * Remember the outcome of a ping for the quality statistics
+   * @param {number|null} pingTime - Round trip in ms, or null if it timed out
+   */
+  const recordPingResult = (pingTime) => {
+    if (pingTime !== null) rttStats.add(pingTime);
+    pingHistory = [...pingHistory, { time: Date.now(), rtt: pingTime }].slice(-PING_HISTORY_LENGTH);
+  };
+
+  /**
+   * Publish our presence state on the current channel, counting it
+   * @returns {Promise<string>} - The transport's track status, or "invalid" if our state failed validation
+   */
+  const trackPresence = () => {
+    clearTimeout(snapshotTimer);
+    snapshotTimer = null;
+    lastSnapshotTime = performance.now();
+
+    const state = getPresenceState();
+    if (!checkPayload('presence', state, 'send')) return Promise.resolve('invalid');
+    messageCounters.presence.record();
+    return channel.track(state);
+  };
+
+  /**
+   * Record a cursor sample for the next batch, at most one per SAMPLE_INTERVAL (~60Hz)
+   * @param {boolean} force - Record even if the last sample was very recent
+   */
+  const recordSample = (force = false) => {
+    const now = performance.now();
+    if (!force && now - lastSampleTime < SAMPLE_INTERVAL) return;
+
+    const last = pendingSamples[pendingSamples.length - 1];
+    if (last && last.x === lastPosition.x && last.y === lastPosition.y) return;
+
+    lastSampleTime = now;
+    pendingSamples.push({ x: lastPosition.x, y: lastPosition.y, t: getServerTime() });
+  };
+
+  /**
+   * Broadcast the batch of cursor samples recorded since the last send
+   */
+  const broadcastPosition = async () => {
+    broadcastTimer = null;
+    if (!channel || status !== CONNECTION_STATUS.CONNECTED) return;
+
+    // Slow drifts (e.g. a hand resting on the mouse) go out in fewer, bigger batches
+    const sinceLastBroadcast = performance.now() - lastBroadcastTime;
+    if (lastBroadcastPosition && sinceLastBroadcast < COALESCE_INTERVAL
+      && Math.hypot(lastPosition.x - lastBroadcastPosition.x, lastPosition.y - lastBroadcastPosition.y) < COALESCE_DISTANCE) {
+      broadcastTimer = setTimeout(broadcastPosition, COALESCE_INTERVAL - sinceLastBroadcast);
+      return;
+    }
+
+    // Always end the batch on our latest position
+    recordSample(true);
+    if (pendingSamples.length === 0) {
+      pendingSamples.push({ x: lastPosition.x, y: lastPosition.y, t: getServerTime() });
+    }
+
+    // After a long stall, only the most recent motion is worth replaying
+    const samples = getRecentMotion(pendingSamples.slice(-MAX_BATCH_SAMPLES));
+    pendingSamples = [];
+    lastBroadcastTime = performance.now();
+    lastBroadcastPosition = { ...lastPosition };
+
+    clearTimeout(restTimer);
+    restTimer = setTimeout(broadcastRest, REST_DELAY);
+
+    try {
+      await sendBroadcast('mouse-move', encodeCursorBatch(clientId, samples));
+    } catch (error) {
+      console.error('Error updating mouse position:', error);
+    }
+  };
+
+  /**
+   * Once the cursor stops, repeat the final position with a fresh timestamp. Receivers
+   * see zero velocity, so they stop extrapolating and don't mistake us for a stalled
+   * connection.
+   */
+  const broadcastRest = async () => {
+    restTimer = null;
+    // Still moving: the next batch is on its way and will schedule another rest
+    if (broadcastTimer || !channel || status !== CONNECTION_STATUS.CONNECTED) return;
+
+    try {
+      await sendBroadcast('mouse-move', encodeCursorBatch(clientId, [{ ...lastPosition, t: getServerTime() }]));
     } catch (error) {
       console.error('Error updating mouse position:', error);
     }
   };
 
+  /**
+   * Check an update's sequence number against the newest one applied from its
+   * sender, and record it if it is newer. Unnumbered updates (from older
+   * clients) always apply.
+   * @param {string} senderId - Who sent the update
+   * @param {number} seq - The update's sequence number, if it has one
+   * @returns {boolean} - Whether the update is newer than anything applied so far
+   */
+  const acceptSequence = (senderId, seq) => {
+    if (seq === undefined) return true;
+
+    const lastApplied = appliedSequences.get(senderId);
+    if (lastApplied !== undefined && seq <= lastApplied) return false;
+    appliedSequences.set(senderId, seq);
+    return true;
+  };
+
+  /**
+   * Deliver a batch of samples unless a newer update from its sender was already applied
+   * @param {string} senderId - Who sent the samples
+   * @param {Array} samples - Samples [{ x, y, t }], oldest first
+   * @param {number} seq - The batch's sequence number, if it has one
+   */
+  const deliverSequencedSamples = (senderId, samples, seq) => {
+    if (!acceptSequence(senderId, seq)) {
+      messageCounters.stale.record();
+      console.log(`Dropped out-of-order cursor update ${seq} from ${senderId}`);
+      return;
+    }
+    deliverSamples(senderId, samples);
+  };
+
+  /**
+   * Hand a verified batch of samples to playback and to sample-buffering interpolators
+   * @param {string} senderId - Who sent the samples
+   * @param {Array} samples - Samples [{ x, y, t }], oldest first
+   */
+  const deliverSamples = (senderId, samples) => {
+    playSamples(senderId, samples);
+    onCursorSamples(senderId, samples);
+  };
+
+  /**
+   * Apply a received batch of samples to a user, spaced out as they were recorded.
+   * This trails the sender by up to one batch, in exchange for full-rate motion.
+   * @param {string} senderId - Who sent the samples
+   * @param {Array} samples - Samples [{ x, y, t }], oldest first
+   */
+  const playSamples = (senderId, samples) => {
+    // A newer batch supersedes whatever is left of the previous one
+    (playbackTimers[senderId] || []).forEach(clearTimeout);
+
+    // t is the sender's timestamp, used by interpolators for dead reckoning
+    const applySample = ({ x, y, t }) => {
+      // Users only come from presence; they may have left mid-batch
+      if (!users[senderId]) return;
+      users[senderId].x = x;
+      users[senderId].y = y;
+      users[senderId].t = t;
+      emitter.emit(REALTIME_EVENTS.USER_MOVE, users[senderId]);
+      emitUsers();
+    };
+
+    const startTime = samples[0].t;
+    playbackTimers[senderId] = samples.slice(1).map(sample =>
+      setTimeout(() => applySample(sample), sample.t - startTime)
+    );
+    applySample(samples[0]);
+  };
+
+  /**
+   * Cancel all pending sample playback
+   */
+  const clearPlaybackTimers = () => {
+    Object.keys(playbackTimers).forEach(senderId => {
+      playbackTimers[senderId].forEach(clearTimeout);
+      delete playbackTimers[senderId];
+    });
+  };
+
+  /**
+   * Publish a presence snapshot of our position (for late joiners), if one is due
+   */
+  const snapshotPresence = async () => {
+    snapshotTimer = null;
+    if (!channel || status !== CONNECTION_STATUS.CONNECTED) return;
+
+    try {
+      await trackPresence();
+    } catch (error) {
+      console.error('Error updating presence snapshot:', error);
+    }
+  };
+
+  /**
+   * Cancel pending cursor sends
+   */
+  const clearSendTimers = () => {
+    clearTimeout(broadcastTimer);
+    clearTimeout(snapshotTimer);
+    clearTimeout(restTimer);
+    broadcastTimer = null;
+    snapshotTimer = null;
+    restTimer = null;
+    pendingSamples = [];
+  };
+
+  /**
+   * Change how many cursor broadcasts we send per second
+   * @param {number} rate - Broadcasts per second (1-60); the maximum when adaptive
+   */
+  const setSendRate = (rate) => {
+    sendRate = clampSendRate(rate);
+    sendRateController.setMaxRate(sendRate);
+  };
+
+  /**
+   * Turn the adaptive send rate on or off
+   * @param {boolean} enabled - Whether to adapt to network conditions
+   */
+  const setAdaptiveSendRate = (enabled) => {
+    adaptiveSendRate = enabled;
+  };
+
+  /**
+   * Get the rate cursor broadcasts actually go out at
+   * @returns {number} - Broadcasts per second
+   */
+  const getCurrentSendRate = () => {
+    return adaptiveSendRate ? sendRateController.getRate() : sendRate;
+  };
+
+  /**
+   * Get the send rate and what is limiting it, for display
+   * @returns {Object} - { rate, maxRate, adaptive, reason } with reason one of SEND_RATE_REASONS (null when fixed)
+   */
+  const getSendRateInfo = () => ({
+    rate: getCurrentSendRate(),
+    maxRate: sendRate,
+    adaptive: adaptiveSendRate,
+    reason: adaptiveSendRate ? sendRateController.getReason() : null,
+  });
+
+  /**
+   * Periodically adapt the send rate to round trips, loss and room size
+   */
+  const startRateControl = () => {
+    stopRateControl();
+    rateControlInterval = setInterval(() => {
+      sendRateController.update({
+        rtt: currentPing,
+        lossRate: lossTracker.getLossRate(),
+        peerCount: Object.keys(users).filter(id => id !== clientId).length,
+      });
+    }, RATE_UPDATE_INTERVAL);
+  };
+
+  /**
+   * Stop adapting the send rate
+   */
+  const stopRateControl = () => {
+    clearInterval(rateControlInterval);
+    rateControlInterval = null;
+  };
+
+  /**
+   * Get message rates over the last second
+   * @returns {Object} - { broadcastPerSecond, presencePerSecond, totalPerSecond } sent, receivedPerSecond,
+   * rejected (forged broadcasts dropped so far), stale (out-of-order cursor updates dropped so far),
+   * quarantined (unknown senders held back now) and
+   * dropped { send, receive, byEvent } (payloads that failed schema validation so far)
+   */
+  const getMessageStats = () => {
+    const broadcastPerSecond = messageCounters.broadcast.getRate();
+    const presencePerSecond = messageCounters.presence.getRate();
+    return {
+      broadcastPerSecond,
+      presencePerSecond,
+      totalPerSecond: broadcastPerSecond + presencePerSecond,
+      receivedPerSecond: messageCounters.received.getRate(),
+      rejected: messageCounters.rejected.getTotal(),
+      stale: messageCounters.stale.getTotal(),
+      quarantined: quarantine.size,
+      dropped: { ...droppedCounts, byEvent: { ...droppedCounts.byEvent } },
+    };
+  };
+
+  /**
+   * Get connection quality statistics, for diagnosing laggy connections
+   * @returns {Object} - {
+   *   rtt: { current, min, p50, p95, p99, max, samples } round trip times in ms (null until measured),
+   *   jitter: mean change between consecutive round trips in ms (null until measured),
+   *   lossRate: share of broadcasts from others lost over the last 10 seconds (0-1),
+   *   sentPerSecond, receivedPerSecond: message rates,
+   *   history: the last pings [{ time, rtt }], rtt null for timeouts
+   * }
+   */
+  const getConnectionStats = () => {
+    const messageStats = getMessageStats();
+    return {
+      rtt: {
+        current: currentPing,
+        min: rttStats.getPercentile(0),
+        p50: rttStats.getPercentile(50),
+        p95: rttStats.getPercentile(95),
+        p99: rttStats.getPercentile(99),
+        max: rttStats.getPercentile(100),
+        samples: rttStats.getCount(),
+      },
+      jitter: rttStats.getJitter(),
+      lossRate: lossTracker.getLossRate(),
+      sentPerSecond: messageStats.totalPerSecond,
+      receivedPerSecond: messageStats.receivedPerSecond,
+      history: pingHistory,
+    };
+  };
+
+  /**
+   * Update the mouse position. Call this on every mouse move; sends are
+   * throttled to the send rate here.
+   * @param {number} x - Mouse X coordinate
+   * @param {number} y - Mouse Y coordinate
+   */
+  const updateMousePosition = async (x, y) => {
+    lastPosition = { x, y };
+    hasMoved = true;
+
+    // Update our local state
+    if (users[clientId]) {
+      users[clientId].x = x;
+      users[clientId].y = y;
+      emitUsers();
+    }
+
+    // Remember the position but don't send while (re)connecting; it is replayed on subscribe
+    if (!channel || status !== CONNECTION_STATUS.CONNECTED) {
+      return;
+    }
+
+    // Broadcast the mouse position to all clients at the send rate, in batches
+    recordSample();
+    if (!broadcastTimer) {
+      const wait = Math.max(0, lastBroadcastTime + 1000 / getCurrentSendRate() - performance.now());
+      broadcastTimer = setTimeout(broadcastPosition, wait);
+    }
+
+    // Refresh the position in presence now and then, for users who join later
+    if (!snapshotTimer) {
+      const wait = Math.max(0, lastSnapshotTime + PRESENCE_SNAPSHOT_INTERVAL - performance.now());
+      snapshotTimer = setTimeout(snapshotPresence, wait);
+    }
+  };
+
+  /**
+   * Listen for a connection event
+   * @template {keyof RealtimeEventHandlers} E
+   * @param {E|string} event - One of REALTIME_EVENTS, or a custom event name
+   * @param {RealtimeEventHandlers[E]|CustomEventHandler} handler - Called every time the event happens
+   * @returns {Function} - Removes the handler again
+   */
+  const on = (event, handler) => emitter.on(event, handler);
+
+  /**
+   * Listen for the next occurrence of a connection event only
+   * @template {keyof RealtimeEventHandlers} E
+   * @param {E|string} event - One of REALTIME_EVENTS, or a custom event name
+   * @param {RealtimeEventHandlers[E]|CustomEventHandler} handler - Called once
+   * @returns {Function} - Removes the handler again, if it hasn't run yet
+   */
+  const once = (event, handler) => emitter.once(event, handler);
+
+  /**
+   * Stop listening for a connection event
+   * @param {string} event - The event name passed to on() or once()
+   * @param {Function} handler - The handler passed to on() or once()
+   */
+  const off = (event, handler) => emitter.off(event, handler);
+
+  /**
+   * Send a custom event to everyone else in the room; they receive it through
+   * on(event) as handler(data, { senderId })
+   * @param {string} event - Event name; REALTIME_EVENTS names are reserved
+   * @param {*} data - JSON-serialisable event data
+   * @returns {Promise<string>} - The transport's send status ("invalid" if it failed validation)
+   */
+  const broadcastEvent = async (event, data) => {
+    if (RESERVED_EVENT_NAMES.has(event)) {
+      throw new Error(`"${event}" is a built-in event and can't be broadcast`);
+    }
+    if (!channel || status !== CONNECTION_STATUS.CONNECTED) return 'error';
+
+    return sendBroadcast('custom', { senderId: clientId, event, data });
+  };
+
   /**
    * Disconnect from the realtime channel
    */
   const disconnect = () => {
-    // Clear ping measurement intervals and timeouts
-    if (pingInterval) {
-      clearInterval(pingInterval);
-      pingInterval = null;
-    }
+    intentionalDisconnect = true;
+    removeLifecycleListeners();
+    clearReconnectTimer();
     
-    if (pingTimeout) {
-      clearTimeout(pingTimeout);
-      pingTimeout = null;
-    }
+    // Clear ping measurement intervals and timeouts
+    stopPingMeasurement();
+    stopRateControl();
+    clearSendTimers();
+    clearPlaybackTimers();
     
     if (channel) {
-      channel.unsubscribe();
+      leaveChannel();
       console.log('Disconnected from realtime channel');
     }
   };
 
   return {
+    on,
+    once,
+    off,
+    broadcastEvent,
     connect,
     updateMousePosition,
+    updateProfile,
     disconnect,
+    reconnect,
+    getStatus: () => status,
+    getUsers: () => Object.values(users),
     getClientId: () => clientId,
+    getUserId: () => userId,
+    getRoomId: () => roomId,
     getCurrentPing: () => currentPing,
     measurePing, // Allow manual ping measurement
+    setSendRate,
+    getSendRate: () => sendRate,
+    getCurrentSendRate,
+    getSendRateInfo,
+    setAdaptiveSendRate,
+    getMessageStats,
+    getConnectionStats,
+    getServerTime,
+    getClockOffset,
+    getPeerClock,
   };
 }
 
 /**
- * Generate a random client ID
- * @returns {string} - A random client ID
+ * Get the delay before a reconnect attempt: exponential backoff with jitter,
+ * so a room full of clients that dropped together don't all retry at once
+ * @param {number} attempt - Number of failed attempts so far
+ * @returns {number} - Delay in milliseconds
+ */
+function getReconnectDelay(attempt) {
+  const backoff = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** attempt);
+  return backoff / 2 + Math.random() * (backoff / 2);
+}
+
+/**
+ * Keep a requested send rate within sensible bounds
+ * @param {number} rate - Requested broadcasts per second
+ * @returns {number} - Rate between 1 and MAX_SEND_RATE
+ */
+function clampSendRate(rate) {
+  return Math.min(MAX_SEND_RATE, Math.max(1, Math.round(rate) || DEFAULT_SEND_RATE));
+}
+
+/**
+ * Check whether the browser reports having no network
+ * @returns {boolean} - True if known to be offline
  */
-function generateClientId() {
-  return `user-${Math.floor(Math.random() * 10000)}`;
+function isBrowserOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
 }
@@ -0,0 +1,105 @@
+/**
+ * Compact wire format for cursor motion.
+ *
+ * Several samples travel in one mouse-move broadcast. Coordinates are quantised
+ * to a grid of `q` pixels, the first sample is absolute and every following one
+ * is a delta against the sample before it, with times relative to the previous
+ * sample. A batch of four samples looks like:
+ *
+ *   { senderId, t: 1718000000000, q: 1, p: [412, 96, 17, 3, -1, 16, 4, 0, 17, 2, 2] }
+ *
+ * where p = [x0, y0, dt1, dx1, dy1, dt2, dx2, dy2, ...] in grid units and ms.
+ * Receivers replay the samples dt apart, so every dt is between 0 and MAX_SAMPLE_GAP.
+ * Times are on the room's shared clock (see getServerTime in connectRealtime.js),
+ * so receivers can compare them with their own estimate of it.
+ */
+
+// Default quantisation step in world pixels; sub-pixel precision is invisible on screen
+export const CURSOR_QUANTUM = 1;
+
+// Quantisation steps a batch may use (world pixels)
+export const MIN_QUANTUM = 0.1;
+export const MAX_QUANTUM = 100;
+
+// Largest world coordinate a cursor can have (px), far beyond any real page
+export const MAX_COORDINATE = 1e6;
+
+// Most samples in one batch; at 60Hz sampling that covers the slowest send rate
+export const MAX_BATCH_SAMPLES = 128;
+
+// Longest time between two samples of a batch (ms); longer pauses start a new batch
+export const MAX_SAMPLE_GAP = 1000;
+
+/**
+ * Drop the samples before the last pause longer than MAX_SAMPLE_GAP. After a
+ * stall only the most recent motion is worth replaying.
+ * @param {Array} samples - Samples [{ x, y, t }] in send order, t in ms
+ * @returns {Array} - The samples after the last long pause
+ */
+export function getRecentMotion(samples) {
+  for (let i = samples.length - 1; i > 0; i--) {
+    if (samples[i].t - samples[i - 1].t > MAX_SAMPLE_GAP) {
+      return samples.slice(i);
+    }
+  }
+  return samples;
+}
+
+/**
+ * Encode cursor samples into a mouse-move payload
+ * @param {string} senderId - Our client id
+ * @param {Array} samples - Samples [{ x, y, t }] in send order, t in ms
+ * @param {number} quantum - Quantisation step in pixels
+ * @returns {Object} - The payload { senderId, t, q, p }
+ */
+export function encodeCursorBatch(senderId, samples, quantum = CURSOR_QUANTUM) {
+  const packed = [];
+  let previous = null;
+
+  samples.forEach(sample => {
+    // Quantise absolute positions first, so deltas never accumulate rounding error
+    const x = Math.round(sample.x / quantum);
+    const y = Math.round(sample.y / quantum);
+    const t = Math.round(sample.t);
+
+    if (previous) {
+      // Keep time moving forward, even if our clock estimate jumped back, and
+      // shorten long pauses; gaps are measured between the real sample times
+      const dt = Math.min(Math.max(t - previous.t, 0), MAX_SAMPLE_GAP);
+      packed.push(dt, x - previous.x, y - previous.y);
+      previous = { x, y, t: Math.max(t, previous.t) };
+    } else {
+      packed.push(x, y);
+      previous = { x, y, t };
+    }
+  });
+
+  return {
+    senderId,
+    t: Math.round(samples[0].t),
+    q: quantum,
+    p: packed,
+  };
+}
+
+/**
+ * Decode a mouse-move payload back into absolute samples
+ * @param {Object} payload - The payload { senderId, t, q, p }
+ * @returns {Object} - { senderId, samples: [{ x, y, t }] } in world pixels and sender ms
+ */
+export function decodeCursorBatch({ senderId, t, q, p }) {
+  const samples = [];
+  let x = p[0];
+  let y = p[1];
+  let time = t;
+  samples.push({ x: x * q, y: y * q, t: time });
+
+  for (let i = 2; i + 2 < p.length; i += 3) {
+    time += p[i];
+    x += p[i + 1];
+    y += p[i + 2];
+    samples.push({ x: x * q, y: y * q, t: time });
+  }
+
+  return { senderId, samples };
+}
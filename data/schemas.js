@@ -0,0 +1,163 @@
+/**
+ * Schemas for everything that goes over the realtime channel.
+ *
+ * Payloads come from other clients, so nothing about them can be assumed: a
+ * string coordinate or a missing field would otherwise end up as NaN in an
+ * interpolator. Every event type has a schema here; connectRealtime.js checks
+ * payloads against them before sending and after receiving.
+ */
+
+import { z } from 'zod';
+import { MAX_PUBLIC_KEY_LENGTH, MAX_SIGNATURE_LENGTH } from '@/data/senderAuth';
+import { MAX_BATCH_SAMPLES, MAX_COORDINATE, MAX_QUANTUM, MAX_SAMPLE_GAP, MIN_QUANTUM, decodeCursorBatch } from '@/data/cursorCodec';
+
+// Ids are presence keys ("userId:sessionId"); anything longer is junk
+const MAX_ID_LENGTH = 128;
+const MAX_EVENT_NAME_LENGTH = 64;
+// How far a cursor timestamp may be from our clock (ms). Peers' clocks can be
+// off by minutes, but not by a day.
+const MAX_CLOCK_SKEW = 24 * 60 * 60 * 1000;
+// Largest packed value: a delta across the whole world at the finest quantum
+const MAX_PACKED_VALUE = (2 * MAX_COORDINATE) / MIN_QUANTUM;
+
+const id = z.string().min(1).max(MAX_ID_LENGTH);
+const finite = z.number().finite();
+const sequence = z.number().int().nonnegative();
+// Base64 ECDSA signature of a broadcast (see data/senderAuth.js)
+const signature = z.string().min(1).max(MAX_SIGNATURE_LENGTH);
+// Positions end up in interpolators and particle systems, which must never see huge values
+const coordinate = finite.min(-MAX_COORDINATE).max(MAX_COORDINATE);
+const timestamp = finite.refine(t => Math.abs(t - Date.now()) <= MAX_CLOCK_SKEW, 'Expected a time within a day of now');
+
+/**
+ * Whether every sample of a batch lands inside the world and near now
+ * @param {Object} batch - A batch that passed the field checks { senderId, t, q, p }
+ * @returns {boolean}
+ */
+function hasSamplesInRange(batch) {
+  return decodeCursorBatch(batch).samples.every(({ x, y, t }) =>
+    coordinate.safeParse(x).success && coordinate.safeParse(y).success && timestamp.safeParse(t).success
+  );
+}
+
+/**
+ * A batch of cursor samples (see data/cursorCodec.js)
+ */
+const cursorBatchSchema = z.object({
+  senderId: id,
+  t: timestamp,
+  q: finite.min(MIN_QUANTUM).max(MAX_QUANTUM),
+  // [x0, y0] followed by a [dt, dx, dy] triple per extra sample, all in whole grid units and ms
+  p: z.array(z.number().int().min(-MAX_PACKED_VALUE).max(MAX_PACKED_VALUE))
+    .min(2)
+    .max(2 + 3 * (MAX_BATCH_SAMPLES - 1))
+    .refine(packed => (packed.length - 2) % 3 === 0, 'Expected [x0, y0, dt, dx, dy, ...]')
+    // Receivers wait dt between samples; a huge or negative one would stall or reorder playback
+    .refine(packed => packed.every((value, index) => index < 2 || (index - 2) % 3 !== 0 || (value >= 0 && value <= MAX_SAMPLE_GAP)),
+      `Expected every dt between 0 and ${MAX_SAMPLE_GAP} ms`),
+  seq: sequence.optional(),
+  sig: signature.optional(),
+}).refine(hasSamplesInRange, { message: `Expected every sample within ±${MAX_COORDINATE}px and a day of now`, path: ['p'] });
+
+/**
+ * A ping request or the response echoing it. Timestamps are optional, for
+ * clients without clock sync.
+ */
+const pingSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('request'),
+    requestId: id,
+    senderId: id,
+    targetId: id,
+    sentAt: finite.optional(),
+    seq: sequence.optional(),
+    sig: signature.optional(),
+  }),
+  z.object({
+    type: z.literal('response'),
+    requestId: id,
+    senderId: id,
+    targetId: id,
+    requestSentAt: finite.optional(),
+    receivedAt: finite.optional(),
+    sentAt: finite.optional(),
+    seq: sequence.optional(),
+    sig: signature.optional(),
+  }),
+]);
+
+/**
+ * The state each client tracks in presence. Profile fields are only checked for
+ * type here; sanitizeProfile() restricts them to known values.
+ */
+const presenceSchema = z.object({
+  userId: id,
+  connectionRef: z.string().max(MAX_ID_LENGTH).optional(),
+  x: coordinate.optional(),
+  y: coordinate.optional(),
+  // Null until measured, -1 for timeouts
+  ping: finite.nullable().optional(),
+  // Sequence number of the last broadcast sent before this state, to order it against broadcasts
+  seq: sequence.optional(),
+  // Public key the member signs broadcasts with (see data/senderAuth.js)
+  publicKey: z.string().min(1).max(MAX_PUBLIC_KEY_LENGTH).optional(),
+  name: z.string().optional(),
+  emoji: z.string().optional(),
+  color: z.string().optional(),
+});
+
+/**
+ * A custom event sent with connection.broadcastEvent(). Its data is up to the app.
+ */
+const customEventSchema = z.object({
+  senderId: id,
+  event: z.string().min(1).max(MAX_EVENT_NAME_LENGTH),
+  data: z.unknown(),
+  seq: sequence.optional(),
+  sig: signature.optional(),
+});
+
+/**
+ * Schema registry: broadcast event name (or "presence") -> schema
+ */
+export const REALTIME_SCHEMAS = {
+  'mouse-move': cursorBatchSchema,
+  ping: pingSchema,
+  custom: customEventSchema,
+  presence: presenceSchema,
+};
+
+/**
+ * Check a payload against the schema for its event
+ * @param {string} event - Event name, a key of REALTIME_SCHEMAS
+ * @param {*} payload - The payload to check
+ * @returns {Object} - { success: true, data } with unknown fields stripped, or { success: false, error }
+ */
+export function validatePayload(event, payload) {
+  const schema = REALTIME_SCHEMAS[event];
+  if (!schema) {
+    return { success: false, error: new z.ZodError([{ code: 'custom', path: [], message: `No schema for event "${event}"` }]) };
+  }
+  return schema.safeParse(payload);
+}
+
+/**
+ * Create the error reported for a payload that failed validation
+ * @param {string} event - Event name
+ * @param {string} direction - "send" (a bug on our side) or "receive" (a bad or outdated peer)
+ * @param {z.ZodError} zodError - The validation failure
+ * @param {*} payload - The offending payload
+ * @returns {Error} - An error with code "invalid-payload" and { event, direction, issues, payload }
+ */
+export function createPayloadError(event, direction, zodError, payload) {
+  const summary = zodError.issues
+    .map(issue => `${issue.path.join('.') || '(payload)'}: ${issue.message}`)
+    .join('; ');
+  const error = new Error(`Invalid ${event} payload (${direction}): ${summary}`);
+  error.code = 'invalid-payload';
+  error.event = event;
+  error.direction = direction;
+  error.issues = zodError.issues;
+  error.payload = payload;
+  return error;
+}
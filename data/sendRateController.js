@@ -0,0 +1,107 @@
+/**
+ * Adaptive cursor send rate.
+ *
+ * Works like TCP congestion control (additive increase, multiplicative decrease):
+ * while the link is healthy the rate creeps up toward the maximum, and as soon as
+ * round trips get slow or messages get lost it backs off sharply. Crowded rooms
+ * get a lower ceiling, because everyone receives everyone else's cursor.
+ */
+
+// Rate limits (broadcasts per second)
+const MIN_ADAPTIVE_RATE = 5; // Below this, motion replay gets too far behind
+const RATE_INCREASE = 1; // Added per healthy update
+const RATE_DECREASE = 0.7; // Multiplied per congested update
+
+// Network thresholds
+const HEALTHY_RTT = 150; // Round trips below this (ms) allow raising the rate
+const CONGESTED_RTT = 400; // Round trips above this (ms) lower it
+const HEALTHY_LOSS = 0.01; // Loss below this share allows raising the rate
+const CONGESTED_LOSS = 0.05; // Loss above this share lowers it
+
+// How many cursor messages per second each client should have to receive at most
+const ROOM_RECEIVE_BUDGET = 200;
+
+/**
+ * Why the rate is what it is
+ */
+export const SEND_RATE_REASONS = {
+  MAX: 'max', // Running at the configured maximum
+  RECOVERING: 'recovering', // Healthy again, climbing back up
+  LATENCY: 'latency', // Backed off for slow round trips
+  LOSS: 'loss', // Backed off for lost messages
+  CROWDED: 'crowded', // Capped by the number of people in the room
+};
+
+/**
+ * Create a send rate controller
+ * @param {Object} options - Controller options
+ * @param {number} options.maxRate - Highest rate to use, e.g. the user's chosen send rate
+ * @returns {Object} - Controller with update(), getRate(), getReason() and setMaxRate()
+ */
+export function createSendRateController({ maxRate = 15 } = {}) {
+  let ceiling = maxRate;
+  let rate = maxRate;
+  let reason = SEND_RATE_REASONS.MAX;
+
+  /**
+   * Adjust the rate to current network conditions. Call this every few seconds.
+   * @param {Object} conditions - What we know about the network
+   * @param {number|null} conditions.rtt - Latest round trip in ms, -1 for a timeout, null if unknown
+   * @param {number} conditions.lossRate - Share of messages lost recently (0-1)
+   * @param {number} conditions.peerCount - Other people in the room
+   * @returns {number} - The new rate
+   */
+  const update = ({ rtt = null, lossRate = 0, peerCount = 0 }) => {
+    const isTimeout = rtt !== null && rtt < 0;
+
+    if (lossRate > CONGESTED_LOSS) {
+      rate *= RATE_DECREASE;
+      reason = SEND_RATE_REASONS.LOSS;
+    } else if (isTimeout || (rtt !== null && rtt > CONGESTED_RTT)) {
+      rate *= RATE_DECREASE;
+      reason = SEND_RATE_REASONS.LATENCY;
+    } else if (lossRate < HEALTHY_LOSS && (rtt === null || rtt < HEALTHY_RTT)) {
+      rate += RATE_INCREASE;
+      reason = SEND_RATE_REASONS.RECOVERING;
+    }
+    // In between: hold the current rate
+
+    // Crowded rooms share a receive budget: with n others, each of us sends budget / n
+    const roomLimit = peerCount > 0 ? ROOM_RECEIVE_BUDGET / peerCount : Infinity;
+    const limit = Math.min(ceiling, roomLimit);
+    if (rate >= limit) {
+      rate = limit;
+      reason = roomLimit < ceiling ? SEND_RATE_REASONS.CROWDED : SEND_RATE_REASONS.MAX;
+    }
+    rate = Math.max(Math.min(MIN_ADAPTIVE_RATE, ceiling), rate);
+
+    return getRate();
+  };
+
+  /**
+   * Get the current rate
+   * @returns {number} - Whole broadcasts per second
+   */
+  const getRate = () => {
+    return Math.max(1, Math.round(rate));
+  };
+
+  /**
+   * Change the highest rate to use
+   * @param {number} newMaxRate - Broadcasts per second
+   */
+  const setMaxRate = (newMaxRate) => {
+    ceiling = newMaxRate;
+    if (rate >= ceiling) {
+      rate = ceiling;
+      reason = SEND_RATE_REASONS.MAX;
+    }
+  };
+
+  return {
+    update,
+    getRate,
+    getReason: () => reason,
+    setMaxRate,
+  };
+}
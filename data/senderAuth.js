@@ -0,0 +1,114 @@
+/**
+ * Signed sender identity for broadcasts.
+ *
+ * Broadcast payloads name their sender, but that is only a claim: Supabase
+ * doesn't tell receivers who sent a message. So every connection makes an ECDSA
+ * key pair with WebCrypto, publishes the public key in its presence state and
+ * signs each broadcast. Receivers check the signature against the key published
+ * under the claimed sender's presence key, so a room member can't send as another.
+ */
+
+const KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGNATURE_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+
+// Base64 lengths of a raw P-256 public key (65 bytes) and a signature (64 bytes), with room to spare
+export const MAX_PUBLIC_KEY_LENGTH = 128;
+export const MAX_SIGNATURE_LENGTH = 128;
+
+/**
+ * Whether this environment can sign and verify (WebCrypto is only available in
+ * secure contexts: https and localhost)
+ * @returns {boolean}
+ */
+export function isSigningSupported() {
+  return typeof globalThis.crypto?.subtle?.generateKey === 'function';
+}
+
+/**
+ * Encode bytes as base64
+ * @param {ArrayBuffer} buffer - The bytes
+ * @returns {string} - Base64 text
+ */
+function toBase64(buffer) {
+  return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} - The bytes
+ */
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Serialise a value as JSON with object keys sorted, so sender and receiver sign
+ * the same text whatever order the fields travelled in
+ * @param {*} value - A JSON-serialisable value
+ * @returns {string} - Canonical JSON
+ */
+function toCanonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : toCanonicalJson(item))).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${toCanonicalJson(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Get the text signed for a broadcast. The room and event are part of it, so a
+ * signed payload can't be replayed in another room or as another event.
+ * @param {string} roomId - The room the broadcast is sent in
+ * @param {string} event - Broadcast event name
+ * @param {Object} payload - The payload, without its signature
+ * @returns {string} - The text to sign or verify
+ */
+export function getSignedText(roomId, event, payload) {
+  // Round trip through JSON first, so the sender signs what receivers will see (dates as strings and so on)
+  return `${roomId}\n${event}\n${toCanonicalJson(JSON.parse(JSON.stringify(payload)))}`;
+}
+
+/**
+ * Create a key pair for this connection
+ * @returns {Promise<Object>} - { publicKey, sign(text) }: the public key as base64, to publish
+ * in presence, and a function resolving to the base64 signature of a text
+ */
+export async function createSenderKey() {
+  const keyPair = await crypto.subtle.generateKey(KEY_ALGORITHM, false, ['sign', 'verify']);
+  const publicKey = toBase64(await crypto.subtle.exportKey('raw', keyPair.publicKey));
+  const encoder = new TextEncoder();
+
+  const sign = async (text) => {
+    const signature = await crypto.subtle.sign(SIGNATURE_ALGORITHM, keyPair.privateKey, encoder.encode(text));
+    return toBase64(signature);
+  };
+
+  return { publicKey, sign };
+}
+
+/**
+ * Create a checker for signatures made with a peer's public key
+ * @param {string} publicKey - Base64 public key from the peer's presence
+ * @returns {Function} - (text, signature) => Promise<boolean>, false for malformed keys or signatures
+ */
+export function createSignatureVerifier(publicKey) {
+  const encoder = new TextEncoder();
+  // Imported on first use; a malformed key fails every check
+  let keyPromise = null;
+
+  return async (text, signature) => {
+    try {
+      keyPromise ??= crypto.subtle.importKey('raw', fromBase64(publicKey), KEY_ALGORITHM, false, ['verify']);
+      return await crypto.subtle.verify(SIGNATURE_ALGORITHM, await keyPromise, fromBase64(signature), encoder.encode(text));
+    } catch {
+      return false;
+    }
+  };
+}
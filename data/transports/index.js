@@ -0,0 +1,42 @@
+import { createLocalTransport } from './localTransport';
+import { createSupabaseTransport } from './supabaseTransport';
+
+/**
+ * A realtime transport creates channels; initRealtimeConnection only talks to these.
+ * @typedef {Object} RealtimeTransport
+ * @property {string} name - Transport name, e.g. "supabase" or "local"
+ * @property {boolean} stampsSender - Whether broadcasts arrive with the sender's presence key
+ * as meta.senderKey, set by a server the sender can't influence. False for both built-in
+ * transports; connectRealtime.js signs broadcasts instead (see data/senderAuth.js).
+ * @property {(topic: string, options: { presenceKey: string }) => TransportChannel} channel - Create a channel
+ */
+
+/**
+ * A channel on a transport. Our own broadcasts are never delivered back to us.
+ * @typedef {Object} TransportChannel
+ * @property {(event: 'sync'|'join'|'leave', handler: Function) => TransportChannel} onPresence - Listen for presence changes
+ * @property {(event: string, handler: (payload: Object, meta?: { senderKey: string }) => void) => TransportChannel} onBroadcast - Listen for a broadcast event
+ * @property {(onStatus: (status: 'SUBSCRIBED'|'CHANNEL_ERROR'|'TIMED_OUT'|'CLOSED', error?: Error) => void) => void} subscribe - Join the channel
+ * @property {() => Object<string, Object[]>} presenceState - Presence states keyed by presence key
+ * @property {(state: Object) => Promise<string>} track - Publish our presence state
+ * @property {(event: string, payload: Object) => Promise<string>} broadcast - Send a broadcast, resolving to "ok" on success
+ * @property {() => Promise<string>} unsubscribe - Leave the channel
+ */
+
+/**
+ * Create the transport selected by NEXT_PUBLIC_REALTIME_TRANSPORT ("supabase" by default, or "local")
+ * @param {string} name - Transport name, overriding the environment
+ * @returns {RealtimeTransport} - The transport
+ */
+export function createTransport(name = process.env.NEXT_PUBLIC_REALTIME_TRANSPORT || 'supabase') {
+  switch (name) {
+    case 'supabase':
+      return createSupabaseTransport();
+    case 'local':
+      return createLocalTransport();
+    default:
+      throw new Error(`Unknown realtime transport: ${name}`);
+  }
+}
+
+export { createLocalTransport, createSupabaseTransport };
@@ -0,0 +1,191 @@
+/**
+ * A realtime transport that needs no server: tabs of the same origin (or
+ * instances in the same Node process) talk over the BroadcastChannel API.
+ * Presence is kept alive with heartbeats so closed tabs drop out on their own.
+ */
+
+// Presence heartbeat constants
+const HEARTBEAT_INTERVAL = 2000; // How often we re-announce our presence
+const PRESENCE_TIMEOUT = 6000; // How long before a silent peer is considered gone
+
+/**
+ * Create a transport backed by BroadcastChannel
+ * @param {Object} options - Transport options
+ * @param {string} options.namespace - Prefix for BroadcastChannel names, to isolate apps or test runs
+ * @returns {Object} - A realtime transport (see data/transports/index.js)
+ */
+export function createLocalTransport({ namespace = 'realtime' } = {}) {
+  /**
+   * Create a channel for a topic
+   * @param {string} topic - Channel topic (e.g. "room:swift-otter-4821")
+   * @param {Object} options - Channel options
+   * @param {string} options.presenceKey - Key our presence is tracked under
+   * @returns {Object} - A transport channel
+   */
+  const channel = (topic, { presenceKey }) => {
+    const presenceHandlers = { sync: [], join: [], leave: [] };
+    const broadcastHandlers = {};
+
+    // Presence of everyone else: key -> { state, lastSeen }. A peer can share
+    // our key (e.g. a duplicated tab); it is then listed next to us.
+    const peers = new Map();
+    let ownState = null;
+    let bus = null;
+    let heartbeatInterval = null;
+    let onStatusChange = () => {};
+
+    const emitPresence = (event, details) => {
+      presenceHandlers[event].forEach(handler => handler(details));
+    };
+
+    const post = (message) => {
+      bus.postMessage({ ...message, key: presenceKey });
+    };
+
+    /**
+     * Record a peer's presence, emitting join + sync for newcomers
+     */
+    const upsertPeer = (key, state) => {
+      const isNew = !peers.has(key);
+      peers.set(key, { state, lastSeen: Date.now() });
+
+      if (isNew) {
+        emitPresence('join', { key, newPresences: [state] });
+      }
+      emitPresence('sync');
+    };
+
+    /**
+     * Forget a peer, emitting leave + sync
+     */
+    const removePeer = (key) => {
+      const peer = peers.get(key);
+      if (!peer) return;
+
+      peers.delete(key);
+      emitPresence('leave', { key, leftPresences: [peer.state] });
+      emitPresence('sync');
+    };
+
+    const handleMessage = ({ data }) => {
+      switch (data.kind) {
+        case 'track':
+          upsertPeer(data.key, data.state);
+          break;
+        case 'heartbeat':
+          if (peers.has(data.key)) {
+            peers.get(data.key).lastSeen = Date.now();
+          } else {
+            // We missed (or timed out) this peer; ask everyone to re-announce
+            post({ kind: 'sync-request' });
+          }
+          break;
+        case 'leave':
+          removePeer(data.key);
+          break;
+        case 'sync-request':
+          // A newcomer wants to know who is here
+          if (ownState) post({ kind: 'track', state: ownState });
+          break;
+        case 'broadcast':
+          // data.key is whatever the sender put there, so it isn't passed on as a
+          // verified sender; connectRealtime.js checks signatures instead
+          (broadcastHandlers[data.event] || []).forEach(handler => handler(data.payload));
+          break;
+      }
+    };
+
+    /**
+     * Announce ourselves and drop peers we haven't heard from
+     */
+    const heartbeat = () => {
+      if (ownState) post({ kind: 'heartbeat' });
+
+      const now = Date.now();
+      peers.forEach((peer, key) => {
+        if (now - peer.lastSeen > PRESENCE_TIMEOUT) {
+          removePeer(key);
+        }
+      });
+    };
+
+    const transportChannel = {
+      onPresence: (event, handler) => {
+        presenceHandlers[event].push(handler);
+        return transportChannel;
+      },
+      onBroadcast: (event, handler) => {
+        broadcastHandlers[event] = broadcastHandlers[event] || [];
+        broadcastHandlers[event].push(handler);
+        return transportChannel;
+      },
+      subscribe: (onStatus) => {
+        onStatusChange = onStatus;
+
+        if (typeof BroadcastChannel === 'undefined') {
+          setTimeout(() => onStatusChange('CHANNEL_ERROR', new Error('BroadcastChannel is not supported')), 0);
+          return;
+        }
+
+        bus = new BroadcastChannel(`${namespace}:${topic}`);
+        bus.onmessage = handleMessage;
+        heartbeatInterval = setInterval(heartbeat, HEARTBEAT_INTERVAL);
+        post({ kind: 'sync-request' });
+
+        // Report asynchronously, like a network transport would
+        setTimeout(() => onStatusChange('SUBSCRIBED'), 0);
+      },
+      presenceState: () => {
+        const state = {};
+        peers.forEach((peer, key) => {
+          state[key] = [peer.state];
+        });
+        // Include ourselves, as Supabase presence does
+        if (ownState) {
+          state[presenceKey] = [ownState, ...(state[presenceKey] || [])];
+        }
+        return state;
+      },
+      track: async (state) => {
+        if (!bus) return 'error';
+
+        const isFirstTrack = !ownState;
+        ownState = { ...state };
+        post({ kind: 'track', state: ownState });
+
+        if (isFirstTrack) {
+          emitPresence('join', { key: presenceKey, newPresences: [ownState] });
+        }
+        emitPresence('sync');
+        return 'ok';
+      },
+      broadcast: async (event, payload) => {
+        if (!bus) return 'error';
+
+        post({ kind: 'broadcast', event, payload });
+        return 'ok';
+      },
+      unsubscribe: async () => {
+        if (!bus) return 'ok';
+
+        if (ownState) post({ kind: 'leave' });
+        clearInterval(heartbeatInterval);
+        bus.close();
+        bus = null;
+        ownState = null;
+        peers.clear();
+        onStatusChange('CLOSED');
+        return 'ok';
+      },
+    };
+
+    return transportChannel;
+  };
+
+  return {
+    name: 'local',
+    // Every tab posts its own messages, so nothing vouches for the sender
+    stampsSender: false,
+    channel,
+  };
+}
@@ -0,0 +1,58 @@
+import { createClient } from '@/utils/supabase/client';
+
+/**
+ * Create a transport backed by Supabase Realtime (broadcast + presence)
+ * @returns {Object} - A realtime transport (see data/transports/index.js)
+ */
+export function createSupabaseTransport() {
+  const supabase = createClient();
+
+  /**
+   * Create a channel for a topic
+   * @param {string} topic - Channel topic (e.g. "room:swift-otter-4821")
+   * @param {Object} options - Channel options
+   * @param {string} options.presenceKey - Key our presence is tracked under
+   * @returns {Object} - A transport channel
+   */
+  const channel = (topic, { presenceKey }) => {
+    const supabaseChannel = supabase.channel(topic, {
+      config: {
+        broadcast: { self: false }, // Don't receive our own broadcasts
+        presence: {
+          key: presenceKey,
+        },
+      },
+    });
+
+    const transportChannel = {
+      onPresence: (event, handler) => {
+        supabaseChannel.on('presence', { event }, handler);
+        return transportChannel;
+      },
+      onBroadcast: (event, handler) => {
+        supabaseChannel.on('broadcast', { event }, ({ payload }) => handler(payload));
+        return transportChannel;
+      },
+      subscribe: (onStatus) => {
+        supabaseChannel.subscribe(onStatus);
+      },
+      presenceState: () => supabaseChannel.presenceState(),
+      track: (state) => supabaseChannel.track(state),
+      broadcast: (event, payload) => supabaseChannel.send({
+        type: 'broadcast',
+        event,
+        payload,
+      }),
+      unsubscribe: () => supabase.removeChannel(supabaseChannel),
+    };
+
+    return transportChannel;
+  };
+
+  return {
+    name: 'supabase',
+    // Supabase relays broadcast payloads as sent; the sender's identity isn't attached
+    stampsSender: false,
+    channel,
+  };
+}
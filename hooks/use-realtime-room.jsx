@@ -0,0 +1,230 @@
+"use client";
+
+import { createContext, useCallback, useContext, useEffect, useRef, useState } from "react";
+import { REALTIME_EVENTS, initRealtimeConnection } from "@/data/connectRealtime";
+import { loadProfile } from "@/utils/profile";
+import { browserScheduler } from "@/utils/scheduler";
+
+/**
+ * React bindings for the realtime connection: useRoom() joins a room for as
+ * long as a component is mounted, and RealtimeRoomProvider shares that room
+ * with the presence, broadcast and cursor hooks below it.
+ */
+
+const RealtimeRoomContext = createContext(null);
+
+// A room whose connection doesn't exist (yet)
+const EMPTY_ROOM = { connection: null, status: null, clientId: "", error: null };
+
+/**
+ * Build a key that changes when membership, profiles or pings change, but not when cursors move
+ * @param {Array} users - Room users
+ * @returns {string} - The key
+ */
+function getPresenceKey(users) {
+  return users.map(user => `${user.id}:${user.name}:${user.emoji}:${user.color}:${user.ping}`).join("|");
+}
+
+/**
+ * Join a room while the calling component is mounted
+ * @param {string} roomId - The room to join
+ * @param {Object} options - Options for initRealtimeConnection, read when the room is joined.
+ * The saved profile is used unless options.profile is given.
+ * @returns {Object} - { connection, status, clientId, error }: the connection (null until created),
+ * its CONNECTION_STATUS, our client id, and the error if the connection couldn't be created
+ */
+export function useRoom(roomId, options = {}) {
+  const [room, setRoom] = useState(EMPTY_ROOM);
+
+  // The latest options, for the next time we join
+  const optionsRef = useRef(options);
+  useEffect(() => {
+    optionsRef.current = options;
+  });
+
+  useEffect(() => {
+    let connection;
+    try {
+      connection = initRealtimeConnection(roomId, { profile: loadProfile(), ...optionsRef.current });
+    } catch (error) {
+      console.error("Error creating realtime connection:", error);
+      setRoom({ ...EMPTY_ROOM, error });
+      return;
+    }
+
+    // Only the connection of this effect may update the room, and only a real
+    // change re-renders it (USERS fires at cursor rate)
+    const updateRoom = (changes) => {
+      setRoom(current => {
+        if (current.connection !== connection) return current;
+        const hasChanged = Object.keys(changes).some(key => !Object.is(current[key], changes[key]));
+        return hasChanged ? { ...current, ...changes } : current;
+      });
+    };
+    const unsubscribers = [
+      connection.on(REALTIME_EVENTS.STATUS, status => updateRoom({ status })),
+      // Our client id changes if another tab was already using it
+      connection.on(REALTIME_EVENTS.USERS, () => updateRoom({ clientId: connection.getClientId() })),
+    ];
+    setRoom({ ...EMPTY_ROOM, connection, clientId: connection.getClientId() });
+
+    // Strict mode runs effects, cleans them up and runs them again straight away.
+    // Joining on the next tick means the throwaway first run never opens a channel.
+    const connectTimer = setTimeout(() => {
+      connection.connect().catch(error => {
+        console.error("Error connecting to realtime:", error);
+        updateRoom({ error });
+      });
+    }, 0);
+
+    return () => {
+      clearTimeout(connectTimer);
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      connection.disconnect();
+      setRoom(EMPTY_ROOM);
+    };
+  }, [roomId]);
+
+  return room;
+}
+
+/**
+ * Join a room and share it with the hooks below
+ * @param {Object} props - Component props
+ * @param {string} props.roomId - The room to join
+ * @param {Object} props.options - Connection options (see useRoom)
+ * @param {React.ReactNode} props.children - Components using the room
+ */
+export function RealtimeRoomProvider({ roomId, options, children }) {
+  const room = useRoom(roomId, options);
+
+  return (
+    <RealtimeRoomContext.Provider value={room}>
+      {children}
+    </RealtimeRoomContext.Provider>
+  );
+}
+
+/**
+ * Get the room of the nearest RealtimeRoomProvider
+ * @returns {Object} - { connection, status, clientId, error }, as returned by useRoom
+ */
+export function useRoomContext() {
+  const room = useContext(RealtimeRoomContext);
+
+  if (!room) {
+    throw new Error("useRoomContext must be used within a <RealtimeRoomProvider />");
+  }
+
+  return room;
+}
+
+/**
+ * Everyone in the room, ourselves included. Re-renders when people join, leave,
+ * edit their profile or share a new ping, but not when cursors move.
+ * @returns {Array} - Users { id, userId, ping, name, emoji, color }
+ */
+export function usePresence() {
+  const { connection } = useRoomContext();
+  const [users, setUsers] = useState([]);
+
+  useEffect(() => {
+    if (!connection) {
+      setUsers([]);
+      return;
+    }
+
+    let presenceKey = null;
+    const updateUsers = (roomUsers) => {
+      const nextKey = getPresenceKey(roomUsers);
+      if (nextKey === presenceKey) return;
+      presenceKey = nextKey;
+      setUsers(roomUsers.map(({ x, y, t, ...user }) => user));
+    };
+
+    updateUsers(connection.getUsers());
+    return connection.on(REALTIME_EVENTS.USERS, updateUsers);
+  }, [connection]);
+
+  return users;
+}
+
+/**
+ * Our own presence, and a function to change our profile
+ * @returns {Array} - [me, updateMyPresence]: our user (null until we are in the room),
+ * and a function taking a profile { name, emoji, color } to share with the room
+ */
+export function useMyPresence() {
+  const { connection, clientId } = useRoomContext();
+  const users = usePresence();
+  const me = users.find(user => user.id === clientId) || null;
+
+  const updateMyPresence = useCallback((profile) => {
+    return connection ? connection.updateProfile(profile) : Promise.resolve();
+  }, [connection]);
+
+  return [me, updateMyPresence];
+}
+
+/**
+ * Listen for a custom event from the room and get a function to send it
+ * @param {string} event - Custom event name (not one of REALTIME_EVENTS)
+ * @param {Function} handler - Called with (data, { senderId }) for every event from others; optional
+ * @returns {Function} - Sends the event to everyone else: (data) => Promise<string> with the send status
+ */
+export function useBroadcastEvent(event, handler) {
+  const { connection } = useRoomContext();
+
+  // Always call the latest handler without resubscribing
+  const handlerRef = useRef(handler);
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => {
+    if (!connection) return;
+    return connection.on(event, (data, meta) => handlerRef.current?.(data, meta));
+  }, [connection, event]);
+
+  return useCallback((data) => {
+    return connection ? connection.broadcastEvent(event, data) : Promise.resolve("error");
+  }, [connection, event]);
+}
+
+/**
+ * Everyone else's cursor. Re-renders at most once per animation frame while cursors move.
+ * @returns {Array} - Users { id, userId, x, y, t, ping, name, emoji, color } in world coordinates
+ */
+export function useOthersCursors() {
+  const { connection } = useRoomContext();
+  const [cursors, setCursors] = useState([]);
+
+  useEffect(() => {
+    if (!connection) {
+      setCursors([]);
+      return;
+    }
+
+    // A busy room reports many moves per frame; render only the latest positions
+    let frameId = null;
+    const scheduleUpdate = () => {
+      if (frameId !== null) return;
+      frameId = browserScheduler.requestFrame(() => {
+        frameId = null;
+        const clientId = connection.getClientId();
+        // The connection updates its users in place; copy them so React sees the change
+        setCursors(connection.getUsers().filter(user => user.id !== clientId).map(user => ({ ...user })));
+      });
+    };
+
+    scheduleUpdate();
+    const unsubscribe = connection.on(REALTIME_EVENTS.USERS, scheduleUpdate);
+
+    return () => {
+      unsubscribe();
+      if (frameId !== null) browserScheduler.cancelFrame(frameId);
+    };
+  }, [connection]);
+
+  return cursors;
+}
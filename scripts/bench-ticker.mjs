@@ -0,0 +1,118 @@
+/**
+ * Frame cost of the shared animation loop with many simulated users.
+ *
+ * Every user gets an interpolator and a particle system in one ticker, driven by
+ * a manual scheduler, and receives a new cursor sample every few frames the way
+ * remote cursors do. We time each stepped frame with the real clock.
+ *
+ *   npm run bench:ticker [-- userCounts...]
+ *   node --import ./tests/register.mjs scripts/bench-ticker.mjs 50 200
+ */
+
+import { performance } from 'node:perf_hooks';
+import { createInterpolatedPosition } from '@/utils/interpolation';
+import { createParticleSystem } from '@/utils/particles';
+import { createManualScheduler } from '@/utils/scheduler';
+import { TICKER_PHASES, getTicker } from '@/utils/ticker';
+
+const DEFAULT_USER_COUNTS = [50, 200];
+const FRAME = 1000 / 60; // ms
+const WARMUP_FRAMES = 120;
+const MEASURED_FRAMES = 600;
+const SAMPLE_EVERY = 4; // Frames between samples per user (15 Hz at 60 fps)
+
+// Stands in for a canvas; the calls still cost something, like real draw calls
+const nullContext = {
+  globalAlpha: 1,
+  fillStyle: '',
+  beginPath() {},
+  arc() {},
+  fill() {},
+};
+
+/**
+ * Where a simulated user's cursor is at a given time: circling at its own speed
+ * @param {number} index - User index
+ * @param {number} time - Time (ms)
+ * @returns {Object} - Position {x, y, t}
+ */
+function simulatedCursor(index, time) {
+  const angle = time / (400 + (index % 7) * 60) + index;
+  const radius = 80 + (index % 5) * 30;
+  return {
+    x: 600 + Math.cos(angle) * radius,
+    y: 400 + Math.sin(angle) * radius,
+    t: time,
+  };
+}
+
+/**
+ * Get a percentile of sorted values
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} fraction - Percentile as a fraction (0-1)
+ * @returns {number}
+ */
+function percentile(sorted, fraction) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+}
+
+/**
+ * Run the benchmark for one room size
+ * @param {number} userCount - Number of simulated users
+ * @returns {Object} - { userCount, callbacks, mean, p95, max } with frame costs in ms
+ */
+function runBenchmark(userCount) {
+  const scheduler = createManualScheduler();
+  const ticker = getTicker(scheduler);
+
+  const users = Array.from({ length: userCount }, (_, index) => ({
+    index,
+    position: createInterpolatedPosition(simulatedCursor(index, 0), 0.2, 30, { scheduler }),
+    particles: createParticleSystem('#888', 800, 5, 0.95, { scheduler }),
+  }));
+
+  // What the cursor layer does every frame after the interpolators advanced
+  const render = () => {
+    users.forEach(user => {
+      user.particles.update(user.position.getCurrentPosition());
+      user.particles.render(nullContext);
+    });
+  };
+  const removeRender = ticker.add(render, TICKER_PHASES.RENDER);
+
+  const costs = [];
+  for (let frame = 0; frame < WARMUP_FRAMES + MEASURED_FRAMES; frame++) {
+    const startTime = performance.now();
+
+    // Spread sample arrivals over the frames, like independent senders
+    users.forEach(user => {
+      if ((frame + user.index) % SAMPLE_EVERY === 0) {
+        user.position.updateTargetPosition(simulatedCursor(user.index, scheduler.now()));
+      }
+    });
+    scheduler.step(FRAME);
+
+    if (frame >= WARMUP_FRAMES) costs.push(performance.now() - startTime);
+  }
+
+  const { callbacks } = ticker.getStats();
+  removeRender();
+  users.forEach(user => user.position.cleanup());
+
+  costs.sort((a, b) => a - b);
+  return {
+    userCount,
+    callbacks,
+    mean: costs.reduce((sum, cost) => sum + cost, 0) / costs.length,
+    p95: percentile(costs, 0.95),
+    max: costs[costs.length - 1],
+  };
+}
+
+const userCounts = process.argv.slice(2).map(Number).filter(count => Number.isInteger(count) && count > 0);
+
+console.log(`Shared ticker, ${MEASURED_FRAMES} frames at 60 fps, a sample per user every ${SAMPLE_EVERY} frames`);
+(userCounts.length > 0 ? userCounts : DEFAULT_USER_COUNTS).forEach(userCount => {
+  const { callbacks, mean, p95, max } = runBenchmark(userCount);
+  console.log(`${String(userCount).padStart(4)} users: ${callbacks} callbacks, frame cost mean ${mean.toFixed(3)} ms, p95 ${p95.toFixed(3)} ms, max ${max.toFixed(3)} ms (budget ${FRAME.toFixed(1)} ms)`);
+});
@@ -0,0 +1,65 @@
+/**
+ * Module hooks for running app code under plain Node (see register.mjs)
+ */
+
+import { statSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+// The repository root, which "@/" points at
+const ROOT_URL = new URL('../', import.meta.url);
+const ROOT_PATH = fileURLToPath(ROOT_URL);
+const NODE_MODULES_PATH = fileURLToPath(new URL('node_modules/', ROOT_URL));
+
+/**
+ * Whether a URL points at one of our own source files (not a dependency)
+ * @param {string} url - Module URL
+ * @returns {boolean}
+ */
+function isAppModule(url) {
+  if (!url.startsWith('file:')) return false;
+  const path = fileURLToPath(url);
+  return path.startsWith(ROOT_PATH) && !path.startsWith(NODE_MODULES_PATH) && path.endsWith('.js');
+}
+
+/**
+ * Whether a URL points at an existing file (not a folder)
+ * @param {string} url - Module URL
+ * @returns {boolean}
+ */
+function isFile(url) {
+  return statSync(fileURLToPath(url), { throwIfNoEntry: false })?.isFile() ?? false;
+}
+
+/**
+ * Find the file an extensionless import means, the way Next does: the file
+ * itself, the file with ".js" added, or the folder's index.js
+ * @param {string} url - Module URL
+ * @returns {string} - The URL of the file to load
+ */
+function withExtension(url) {
+  const candidates = [url, `${url}.js`, `${url.replace(/\/$/, '')}/index.js`];
+  return candidates.find(isFile) || url;
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier.startsWith('@/')) {
+    const url = new URL(specifier.slice(2), ROOT_URL).href;
+    return { url: withExtension(url), shortCircuit: true };
+  }
+
+  if ((specifier.startsWith('./') || specifier.startsWith('../')) && context.parentURL && isAppModule(context.parentURL)) {
+    const url = new URL(specifier, context.parentURL).href;
+    return { url: withExtension(url), shortCircuit: true };
+  }
+
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  // package.json has no "type": "module", but our sources are ESM
+  if (isAppModule(url)) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+
+  return nextLoad(url, context);
+}
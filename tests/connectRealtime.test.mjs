@@ -0,0 +1,184 @@
+import { after, afterEach, before, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONNECTION_STATUS, REALTIME_EVENTS, initRealtimeConnection } from '@/data/connectRealtime';
+import { createLocalTransport } from '@/data/transports/localTransport';
+
+// Every test gets its own BroadcastChannel namespace
+let namespaceCount = 0;
+// Connections to disconnect after each test
+let connections = [];
+
+/**
+ * Join a room over the local transport
+ * @param {string} userId - User id; the client id is "<userId>:s"
+ * @param {Object} options - Extra connection options
+ * @returns {Promise<Object>} - The connected connection
+ */
+async function join(userId, options = {}) {
+  const connection = initRealtimeConnection('test-room', {
+    transport: createLocalTransport({ namespace: `test-${namespaceCount}` }),
+    identity: { userId, sessionId: 's' },
+    ...options,
+  });
+  connections.push(connection);
+  await connection.connect();
+  return connection;
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Checked every few ms
+ * @param {number} timeout - Give up after this long (ms)
+ */
+async function waitFor(condition, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Wrap a local transport so its next broadcast of an event can be held back
+ * and sent later, after newer ones
+ * @returns {Object} - { transport, holdNext(event), release() }
+ */
+function createReorderingTransport() {
+  const transport = createLocalTransport({ namespace: `test-${namespaceCount}` });
+  let heldEvent = null;
+  const held = [];
+
+  const channel = (...args) => {
+    const transportChannel = transport.channel(...args);
+    const broadcast = transportChannel.broadcast;
+    transportChannel.broadcast = async (event, payload) => {
+      if (event !== heldEvent) return broadcast(event, payload);
+      heldEvent = null;
+      held.push(() => broadcast(event, payload));
+      return 'ok';
+    };
+    return transportChannel;
+  };
+
+  return {
+    transport: { ...transport, channel },
+    holdNext: (event) => { heldEvent = event; },
+    getHeldCount: () => held.length,
+    release: () => held.splice(0).forEach(send => send()),
+  };
+}
+
+/**
+ * Get a user's position as a connection sees it
+ * @param {Object} connection - A connection
+ * @param {string} id - The user's client id
+ * @returns {Array<number>|undefined} - [x, y]
+ */
+function getPosition(connection, id) {
+  const user = connection.getUsers().find(candidate => candidate.id === id);
+  return user && [user.x, user.y];
+}
+
+/**
+ * Get the ids of a connection's users
+ * @param {Object} connection - A connection
+ * @returns {Array<string>} - Sorted client ids
+ */
+function getUserIds(connection) {
+  return connection.getUsers().map(user => user.id).sort();
+}
+
+describe('initRealtimeConnection', () => {
+  before(() => {
+    // The connection logs every message; keep the test output readable
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    connections.forEach(connection => connection.disconnect());
+    connections = [];
+    namespaceCount++;
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  describe('sequence numbers', () => {
+    it('drops cursor batches that arrive after newer ones', async () => {
+      const alice = await join('alice');
+      const reordering = createReorderingTransport();
+      const bob = await join('bob', { transport: reordering.transport });
+      await waitFor(() => getUserIds(alice).length === 2);
+
+      reordering.holdNext('mouse-move');
+      bob.updateMousePosition(100, 100);
+      await waitFor(() => reordering.getHeldCount() === 1);
+      bob.updateMousePosition(300, 300);
+      await waitFor(() => getPosition(alice, 'bob:s')?.[0] === 300);
+
+      reordering.release();
+      await waitFor(() => alice.getMessageStats().stale === 1);
+      assert.deepEqual(getPosition(alice, 'bob:s'), [300, 300]);
+    });
+
+    it('keeps the fresher broadcast position when presence syncs', async () => {
+      const alice = await join('alice');
+      const bob = await join('bob');
+      await waitFor(() => getUserIds(alice).length === 2);
+
+      // The first move also shares a presence snapshot; later ones only broadcast
+      bob.updateMousePosition(100, 100);
+      await waitFor(() => getPosition(alice, 'bob:s')?.[0] === 100);
+      bob.updateMousePosition(300, 300);
+      await waitFor(() => getPosition(alice, 'bob:s')?.[0] === 300);
+
+      // A newcomer makes everyone resync presence, with bob's older snapshot
+      await join('carol');
+      await waitFor(() => getUserIds(alice).length === 3);
+      assert.deepEqual(getPosition(alice, 'bob:s'), [300, 300]);
+    });
+  });
+
+  describe('going offline', () => {
+    let browser;
+
+    before(() => {
+      // Just enough of a browser for the connection's online/offline listeners
+      browser = { window: new EventTarget(), document: new EventTarget(), onLine: true };
+      browser.document.visibilityState = 'visible';
+      globalThis.window = browser.window;
+      globalThis.document = browser.document;
+      Object.defineProperty(globalThis, 'navigator', { value: { get onLine() { return browser.onLine; } }, configurable: true, writable: true });
+    });
+
+    after(() => {
+      delete globalThis.window;
+      delete globalThis.document;
+      delete globalThis.navigator;
+    });
+
+    it('drops the other users and announces that they left', async () => {
+      const alice = await join('alice');
+      const bob = await join('bob');
+      await waitFor(() => getUserIds(alice).length === 2);
+
+      const left = [];
+      alice.on(REALTIME_EVENTS.USER_LEAVE, user => left.push(user.id));
+      bob.updateMousePosition(10, 20);
+
+      browser.onLine = false;
+      browser.window.dispatchEvent(new Event('offline'));
+
+      assert.equal(alice.getStatus(), CONNECTION_STATUS.OFFLINE);
+      assert.deepEqual(getUserIds(alice), ['alice:s']);
+      assert.deepEqual(left, ['bob:s']);
+
+      // Nothing queued before going offline moves anyone afterwards
+      await new Promise(resolve => setTimeout(resolve, 200));
+      assert.deepEqual(getUserIds(alice), ['alice:s']);
+      browser.onLine = true;
+    });
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_SAMPLE_GAP, decodeCursorBatch, encodeCursorBatch, getRecentMotion } from '@/data/cursorCodec';
+
+describe('encodeCursorBatch', () => {
+  it('round trips samples through decodeCursorBatch', () => {
+    const samples = [
+      { x: 412, y: 96, t: 1718000000000 },
+      { x: 415, y: 95, t: 1718000000017 },
+      { x: 431, y: 99, t: 1718000000033 },
+      { x: 431, y: 99, t: 1718000000050 },
+    ];
+
+    const payload = encodeCursorBatch('aaaa:s', samples);
+
+    assert.deepEqual(payload, { senderId: 'aaaa:s', t: 1718000000000, q: 1, p: [412, 96, 17, 3, -1, 16, 16, 4, 17, 0, 0] });
+    assert.deepEqual(decodeCursorBatch(payload), { senderId: 'aaaa:s', samples });
+  });
+
+  it('rounds positions to the quantum without accumulating error', () => {
+    const samples = [0, 1, 2, 3, 4].map(i => ({ x: i * 3.4, y: -i * 3.4, t: i * 16 }));
+
+    const { samples: decoded } = decodeCursorBatch(encodeCursorBatch('aaaa:s', samples, 2));
+
+    decoded.forEach((sample, i) => {
+      assert.ok(Math.abs(sample.x - samples[i].x) <= 1);
+      assert.ok(Math.abs(sample.y - samples[i].y) <= 1);
+    });
+  });
+
+  it('clamps sample gaps between 0 and MAX_SAMPLE_GAP', () => {
+    const samples = [
+      { x: 0, y: 0, t: 5000 },
+      // Our clock estimate jumped back
+      { x: 1, y: 0, t: 4900 },
+      // A long pause
+      { x: 2, y: 0, t: 9000 },
+      { x: 3, y: 0, t: 9016 },
+    ];
+
+    const payload = encodeCursorBatch('aaaa:s', samples);
+    const times = decodeCursorBatch(payload).samples.map(sample => sample.t);
+
+    // The sample after the pause keeps its real spacing
+    assert.deepEqual([payload.p[2], payload.p[5], payload.p[8]], [0, MAX_SAMPLE_GAP, 16]);
+    assert.deepEqual(times, [5000, 5000, 5000 + MAX_SAMPLE_GAP, 5000 + MAX_SAMPLE_GAP + 16]);
+  });
+});
+
+describe('getRecentMotion', () => {
+  it('keeps every sample when there is no long pause', () => {
+    const samples = [{ x: 0, y: 0, t: 0 }, { x: 1, y: 0, t: MAX_SAMPLE_GAP }, { x: 2, y: 0, t: 2 * MAX_SAMPLE_GAP }];
+
+    assert.equal(getRecentMotion(samples), samples);
+  });
+
+  it('drops the samples before the last long pause', () => {
+    const samples = [
+      { x: 0, y: 0, t: 0 },
+      { x: 1, y: 0, t: 2000 },
+      { x: 2, y: 0, t: 2016 },
+      { x: 3, y: 0, t: 4000 },
+      { x: 4, y: 0, t: 4016 },
+    ];
+
+    assert.deepEqual(getRecentMotion(samples), samples.slice(3));
+  });
+
+  it('keeps a single sample', () => {
+    const samples = [{ x: 7, y: 8, t: 100 }];
+
+    assert.deepEqual(getRecentMotion(samples), samples);
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBufferedPosition, createInterpolatedPosition } from '@/utils/interpolation';
+import { createManualScheduler } from '@/utils/scheduler';
+
+// One 60 Hz frame (ms)
+const FRAME = 1000 / 60;
+
+/**
+ * Distance between two points
+ * @param {Object} a - Point {x, y}
+ * @param {Object} b - Point {x, y}
+ * @returns {number}
+ */
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+describe('createInterpolatedPosition', () => {
+  it('converges on the target and stops animating', () => {
+    const scheduler = createManualScheduler();
+    const position = createInterpolatedPosition({ x: 0, y: 0 }, 0.2, 30, { scheduler });
+
+    position.updateTargetPosition({ x: 300, y: -120 });
+    scheduler.runFrames(300, FRAME);
+
+    assert.deepEqual(position.getCurrentPosition(), { x: 300, y: -120 });
+    assert.equal(scheduler.getPendingFrameCount(), 0);
+  });
+
+  it('never moves faster than maxSpeed per frame', () => {
+    const scheduler = createManualScheduler();
+    const maxSpeed = 5;
+    const position = createInterpolatedPosition({ x: 0, y: 0 }, 0.8, maxSpeed, { scheduler });
+
+    position.updateTargetPosition({ x: 2000, y: 1500 });
+    let previous = position.getCurrentPosition();
+    for (let frame = 0; frame < 120; frame++) {
+      scheduler.step(FRAME);
+      const current = position.getCurrentPosition();
+      assert.ok(distance(previous, current) <= maxSpeed + 1e-9, `moved ${distance(previous, current)}px in frame ${frame}`);
+      previous = current;
+    }
+
+    // It was still travelling at full speed, not stuck
+    assert.ok(distance({ x: 0, y: 0 }, previous) > maxSpeed * 100);
+    position.cleanup();
+  });
+
+  it('returns trail positions newest first', () => {
+    const scheduler = createManualScheduler();
+    const position = createInterpolatedPosition({ x: 0, y: 0 }, 0.2, 30, { scheduler });
+
+    position.updateTargetPosition({ x: 500, y: 0 });
+    scheduler.runFrames(10, FRAME);
+
+    const trail = position.getTrailPositions();
+    assert.deepEqual(trail[0], position.getCurrentPosition());
+    for (let i = 1; i < trail.length; i++) {
+      assert.ok(trail[i].x < trail[i - 1].x, `trail[${i}] should be older than trail[${i - 1}]`);
+    }
+    position.cleanup();
+  });
+});
+
+describe('createBufferedPosition', () => {
+  // Batch interval of a 15 Hz sender (ms)
+  const BATCH_INTERVAL = 66;
+
+  /**
+   * A buffer fed by a simulated sender whose batches arrive after a network delay
+   * @returns {Object} - { buffer, send(duration, getDelay), pause(duration) }
+   */
+  function createSender() {
+    const scheduler = createManualScheduler({ epoch: 1_700_000_000_000 });
+    const buffer = createBufferedPosition({ x: 0, y: 0 }, { scheduler });
+    let senderTime = scheduler.dateNow();
+    let networkDelay = 0;
+
+    // Move for a while, one batch per interval; getDelay gives each batch's network delay
+    const send = (duration, getDelay = () => 0) => {
+      for (let elapsed = 0; elapsed < duration; elapsed += BATCH_INTERVAL) {
+        senderTime += BATCH_INTERVAL;
+        const delay = getDelay();
+        scheduler.advance(BATCH_INTERVAL + delay - networkDelay);
+        networkDelay = delay;
+        buffer.addSamples([{ x: elapsed, y: 0, t: senderTime }]);
+      }
+    };
+    const pause = (duration) => {
+      senderTime += duration;
+      scheduler.advance(duration);
+    };
+    return { buffer, send, pause };
+  }
+
+  it('keeps its delay when the sender pauses and moves again', () => {
+    const { buffer, send, pause } = createSender();
+    send(5000);
+    const steadyDelay = buffer.getStats().delay;
+
+    pause(20000);
+    send(BATCH_INTERVAL * 3);
+    assert.ok(Math.abs(buffer.getStats().delay - steadyDelay) < 1, `delay went from ${steadyDelay} to ${buffer.getStats().delay}`);
+  });
+
+  it('raises its delay when batches arrive with jitter', () => {
+    const steady = createSender();
+    steady.send(5000);
+
+    const jittery = createSender();
+    let batch = 0;
+    jittery.send(5000, () => (batch++ % 2 === 0 ? 0 : 60));
+    assert.ok(jittery.buffer.getStats().delay > steady.buffer.getStats().delay + 30);
+  });
+});
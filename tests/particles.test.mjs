@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createParticleSystem } from '@/utils/particles';
+import { createManualScheduler } from '@/utils/scheduler';
+
+// Particles live between 0.8 and 1.2 times the lifetime
+const LIFETIME = 800;
+const MAX_LIFETIME = LIFETIME * 1.2;
+
+describe('createParticleSystem', () => {
+  it('emits particles as the cursor moves', () => {
+    const scheduler = createManualScheduler();
+    const particles = createParticleSystem('#fff', LIFETIME, 5, 0.95, { scheduler, random: () => 0.5 });
+
+    particles.update({ x: 0, y: 0 });
+    assert.equal(particles.getParticleCount(), 0);
+
+    particles.update({ x: 30, y: 0 });
+    assert.equal(particles.getParticleCount(), 10);
+  });
+
+  it('removes particles once their lifetime is over', () => {
+    const scheduler = createManualScheduler();
+    const particles = createParticleSystem('#fff', LIFETIME, 5, 0.95, { scheduler, random: Math.random });
+
+    particles.update({ x: 0, y: 0 });
+    for (let i = 1; i <= 10; i++) {
+      scheduler.advance(16);
+      particles.update({ x: i * 10, y: 0 });
+    }
+    assert.ok(particles.getParticleCount() > 0);
+
+    // Still alive halfway through the shortest possible lifetime
+    scheduler.advance(LIFETIME * 0.4 - 160);
+    particles.update({ x: 100, y: 0 });
+    assert.ok(particles.getParticleCount() > 0);
+
+    scheduler.advance(MAX_LIFETIME);
+    particles.update({ x: 100, y: 0 });
+    assert.equal(particles.getParticleCount(), 0);
+  });
+});
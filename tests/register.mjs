@@ -0,0 +1,9 @@
+/**
+ * Lets Node run the app's modules as they are written for Next: ESM with
+ * extensionless imports and the "@/" alias from jsconfig.json.
+ *   node --import ./tests/register.mjs --test tests/
+ */
+
+import { register } from 'node:module';
+
+register('./alias-loader.mjs', import.meta.url);
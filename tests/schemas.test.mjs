@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeCursorBatch } from '@/data/cursorCodec';
+import { validatePayload } from '@/data/schemas';
+
+/**
+ * A valid mouse-move payload with some fields replaced
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object}
+ */
+function cursorBatch(overrides = {}) {
+  const now = Date.now();
+  const batch = encodeCursorBatch('aaaa:s', [{ x: 100, y: 200, t: now }, { x: 110, y: 195, t: now + 16 }]);
+  return { ...batch, seq: 1, ...overrides };
+}
+
+describe('mouse-move schema', () => {
+  it('accepts an encoded batch', () => {
+    assert.equal(validatePayload('mouse-move', cursorBatch()).success, true);
+  });
+
+  it('rejects string, non-finite and out-of-range coordinates', () => {
+    const invalidValues = ['100', NaN, Infinity, -Infinity, 1.5, 1e9, 1e300];
+
+    invalidValues.forEach(value => {
+      assert.equal(validatePayload('mouse-move', cursorBatch({ p: [value, 0] })).success, false, `x0 = ${value}`);
+      assert.equal(validatePayload('mouse-move', cursorBatch({ p: [0, 0, 16, 0, value] })).success, false, `dy = ${value}`);
+    });
+  });
+
+  it('rejects deltas that add up to a position outside the world', () => {
+    const payload = cursorBatch({ p: [900000, 0, 16, 900000, 0] });
+
+    assert.equal(validatePayload('mouse-move', payload).success, false);
+  });
+
+  it('rejects positions the quantum scales out of range', () => {
+    assert.equal(validatePayload('mouse-move', cursorBatch({ q: 100, p: [20000, 0] })).success, false);
+    assert.equal(validatePayload('mouse-move', cursorBatch({ q: 1e300 })).success, false);
+    assert.equal(validatePayload('mouse-move', cursorBatch({ q: 0 })).success, false);
+  });
+
+  it('rejects timestamps far from now', () => {
+    const dayAgo = Date.now() - 2 * 24 * 60 * 60 * 1000;
+
+    assert.equal(validatePayload('mouse-move', cursorBatch({ t: dayAgo })).success, false);
+    assert.equal(validatePayload('mouse-move', cursorBatch({ t: '1718000000000' })).success, false);
+    assert.equal(validatePayload('mouse-move', cursorBatch({ t: 1e300 })).success, false);
+  });
+
+  it('rejects negative and oversized sample gaps', () => {
+    assert.equal(validatePayload('mouse-move', cursorBatch({ p: [0, 0, -16, 1, 1] })).success, false);
+    assert.equal(validatePayload('mouse-move', cursorBatch({ p: [0, 0, 5000, 1, 1] })).success, false);
+  });
+});
+
+describe('presence schema', () => {
+  it('accepts a presence state', () => {
+    const presence = { userId: 'aaaa', connectionRef: 'ref', x: 10, y: -20, ping: null, seq: 3, name: 'Ada' };
+
+    assert.equal(validatePayload('presence', presence).success, true);
+  });
+
+  it('rejects string, non-finite and out-of-range coordinates', () => {
+    ['10', NaN, Infinity, 1e300].forEach(value => {
+      assert.equal(validatePayload('presence', { userId: 'aaaa', x: value, y: 0 }).success, false, `x = ${value}`);
+      assert.equal(validatePayload('presence', { userId: 'aaaa', x: 0, y: value }).success, false, `y = ${value}`);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * NTP-style clock synchronisation between peers.
+ *
+ * Every ping round trip carries four timestamps:
+ *   t0 - request sent (our clock)
+ *   t1 - request received (peer's clock)
+ *   t2 - response sent (peer's clock)
+ *   t3 - response received (our clock)
+ * from which we get the peer's clock offset and the network delay, as NTP does.
+ */
+
+// Round trips remembered per peer; the one with the least delay wins
+const MAX_CLOCK_SAMPLES = 8;
+
+/**
+ * Compute clock offset and delay from one round trip
+ * @param {number} t0 - Request sent, our clock (ms)
+ * @param {number} t1 - Request received, peer's clock (ms)
+ * @param {number} t2 - Response sent, peer's clock (ms)
+ * @param {number} t3 - Response received, our clock (ms)
+ * @returns {Object} - { offset, delay }: offset is peer clock minus ours, delay is the
+ * round trip spent on the network (excluding the peer's processing time)
+ */
+export function computeClockSample(t0, t1, t2, t3) {
+  return {
+    offset: ((t1 - t0) + (t2 - t3)) / 2,
+    delay: (t3 - t0) - (t2 - t1),
+  };
+}
+
+/**
+ * Create a tracker for the clocks of the peers we ping
+ * @param {Object} options - Tracker options
+ * @param {number} options.maxSamples - Round trips remembered per peer
+ * @returns {Object} - Tracker with addSample(), getPeerClock(), removePeer() and clear()
+ */
+export function createClockSync({ maxSamples = MAX_CLOCK_SAMPLES } = {}) {
+  // Recent samples per peer, oldest first: peerId -> [{ offset, delay }]
+  const peers = new Map();
+
+  /**
+   * Record a completed round trip with a peer
+   * @param {string} peerId - Who answered
+   * @param {number} t0 - Request sent, our clock (ms)
+   * @param {number} t1 - Request received, peer's clock (ms)
+   * @param {number} t2 - Response sent, peer's clock (ms)
+   * @param {number} t3 - Response received, our clock (ms)
+   * @returns {Object} - The peer's updated estimate (see getPeerClock)
+   */
+  const addSample = (peerId, t0, t1, t2, t3) => {
+    const sample = computeClockSample(t0, t1, t2, t3);
+
+    // A negative delay means timestamps we can't trust (e.g. a clock stepped mid-flight)
+    if (sample.delay >= 0) {
+      const samples = peers.get(peerId) || [];
+      samples.push(sample);
+      if (samples.length > maxSamples) samples.shift();
+      peers.set(peerId, samples);
+    }
+
+    return getPeerClock(peerId);
+  };
+
+  /**
+   * Get our best estimate of a peer's clock. Like NTP's clock filter, we trust the
+   * round trip with the least delay: queueing only ever adds delay, and it is
+   * usually asymmetric, so the fastest exchange gives the most accurate offset.
+   * @param {string} peerId - The peer
+   * @returns {Object|null} - { offset, delay, oneWayDelay, samples } in ms, or null if never measured
+   */
+  const getPeerClock = (peerId) => {
+    const samples = peers.get(peerId);
+    if (!samples || samples.length === 0) return null;
+
+    const best = samples.reduce((fastest, sample) => (sample.delay < fastest.delay ? sample : fastest));
+    return {
+      offset: best.offset,
+      delay: best.delay,
+      oneWayDelay: best.delay / 2,
+      samples: samples.length,
+    };
+  };
+
+  /**
+   * Forget a peer, e.g. when they leave
+   * @param {string} peerId - The peer
+   */
+  const removePeer = (peerId) => {
+    peers.delete(peerId);
+  };
+
+  /**
+   * Forget all peers
+   */
+  const clear = () => {
+    peers.clear();
+  };
+
+  return {
+    addSample,
+    getPeerClock,
+    removePeer,
+    clear,
+  };
+}
@@ -1,49 +1,154 @@
 /**
- * Utility functions for generating and managing user colors
+ * Utility functions for generating and managing user colors.
+ * Colors are derived from a hash of the user id, so every client picks the
+ * same color for the same person without coordinating.
  */
 
-// Predefined vibrant colors for users (excluding primary which is reserved for current user)
+// Predefined vibrant colors for users (excluding primary which is reserved for current user).
+// Each has a Tailwind class for DOM elements and raw CSS values for canvas and inline styles.
 const USER_COLORS = [
-  'bg-red-500',     // Red
-  'bg-green-500',   // Green
-  'bg-blue-500',    // Blue
-  'bg-yellow-500',  // Yellow
-  'bg-purple-500',  // Purple
-  'bg-pink-500',    // Pink
-  'bg-indigo-500',  // Indigo
-  'bg-teal-500',    // Teal
-  'bg-orange-500',  // Orange
-  'bg-cyan-500',    // Cyan
+  { name: 'red', className: 'bg-red-500', hex: '#ef4444', hsl: 'hsl(0 84% 60%)' },
+  { name: 'green', className: 'bg-green-500', hex: '#22c55e', hsl: 'hsl(142 71% 45%)' },
+  { name: 'blue', className: 'bg-blue-500', hex: '#3b82f6', hsl: 'hsl(217 91% 60%)' },
+  { name: 'yellow', className: 'bg-yellow-500', hex: '#eab308', hsl: 'hsl(45 93% 47%)' },
+  { name: 'purple', className: 'bg-purple-500', hex: '#a855f7', hsl: 'hsl(271 91% 65%)' },
+  { name: 'pink', className: 'bg-pink-500', hex: '#ec4899', hsl: 'hsl(330 81% 60%)' },
+  { name: 'indigo', className: 'bg-indigo-500', hex: '#6366f1', hsl: 'hsl(239 84% 67%)' },
+  { name: 'teal', className: 'bg-teal-500', hex: '#14b8a6', hsl: 'hsl(173 80% 40%)' },
+  { name: 'orange', className: 'bg-orange-500', hex: '#f97316', hsl: 'hsl(25 95% 53%)' },
+  { name: 'cyan', className: 'bg-cyan-500', hex: '#06b6d4', hsl: 'hsl(189 94% 43%)' },
 ];
 
-// Color map to keep track of assigned colors
-const colorMap = new Map();
+// The current user's color (matches --primary in the dark theme)
+const PRIMARY_COLOR = { name: 'primary', className: 'bg-primary', hex: '#e5e5e5', hsl: 'hsl(0 0% 90%)' };
+
+// Names a user can pick as their own color
+export const USER_COLOR_NAMES = USER_COLORS.map(color => color.name);
+
+// Colors assigned to the current room's members, keyed by user id
+let roomColors = new Map();
 
 /**
- * Get a consistent color for a user based on their ID
+ * Hash a string to an unsigned 32-bit integer (FNV-1a)
+ * @param {string} value - The string to hash
+ * @returns {number} - The hash
+ */
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Find a palette color by name
+ * @param {string} name - Color name, e.g. 'red'
+ * @returns {Object|undefined} - The color entry
+ */
+function findColorByName(name) {
+  return USER_COLORS.find(color => color.name === name);
+}
+
+/**
+ * Assign colors to everyone in the room. Users who chose a color keep it; everyone
+ * else gets their hashed color, moving to the next free one if it is taken.
+ * Every client sees the same members, so every client computes the same result.
+ * @param {Array} users - Room members [{ id, userId, color }]
+ */
+export function updateRoomColors(users) {
+  const assignments = new Map();
+  const taken = new Set();
+
+  // Deduplicate tabs of the same user, keeping any chosen color
+  const members = new Map();
+  users.forEach(user => {
+    const userId = user.userId || user.id;
+    const existing = members.get(userId);
+    if (!existing || (!existing.color && user.color)) {
+      members.set(userId, { userId, color: user.color });
+    }
+  });
+
+  // Chosen colors first
+  members.forEach(({ userId, color }) => {
+    const chosen = findColorByName(color);
+    if (chosen) {
+      assignments.set(userId, chosen);
+      taken.add(chosen);
+    }
+  });
+
+  // Then hashed colors, in a fixed order so collisions resolve the same way everywhere
+  const remaining = [...members.keys()]
+    .filter(userId => !assignments.has(userId))
+    .map(userId => ({ userId, hash: hashString(userId) }))
+    .sort((a, b) => a.hash - b.hash || (a.userId < b.userId ? -1 : 1));
+
+  remaining.forEach(({ userId, hash }) => {
+    const preferred = hash % USER_COLORS.length;
+    let color = USER_COLORS[preferred];
+
+    // Probe for a free color; once the palette is exhausted, share the preferred one
+    for (let offset = 0; offset < USER_COLORS.length; offset++) {
+      const candidate = USER_COLORS[(preferred + offset) % USER_COLORS.length];
+      if (!taken.has(candidate)) {
+        color = candidate;
+        break;
+      }
+    }
+
+    assignments.set(userId, color);
+    taken.add(color);
+  });
+
+  roomColors = assignments;
+}
+
+/**
+ * Get the color entry for a user
  * @param {string} userId - The user's ID
  * @param {boolean} isCurrentUser - Whether this is the current user
- * @returns {string} - Tailwind CSS class for the color
+ * @returns {Object} - The color entry { name, className, hex, hsl }
  */
-export function getUserColor(userId, isCurrentUser = false) {
+export function getUserColorInfo(userId, isCurrentUser = false) {
   // Current user always gets primary color
   if (isCurrentUser) {
-    return 'bg-primary';
-  }
-  
-  // If user already has an assigned color, return it
-  if (colorMap.has(userId)) {
-    return colorMap.get(userId);
+    return PRIMARY_COLOR;
   }
-  
-  // Assign a new color based on the current size of the map
-  const colorIndex = colorMap.size % USER_COLORS.length;
-  const color = USER_COLORS[colorIndex];
-  
-  // Store the color assignment
-  colorMap.set(userId, color);
-  
-  return color;
+
+  // Users not (yet) in the room get their hashed color
+  return roomColors.get(userId) || USER_COLORS[hashString(userId) % USER_COLORS.length];
+}
+
+/**
+ * Get a consistent color for a user based on their ID
+ * @param {string} userId - The user's ID
+ * @param {boolean} isCurrentUser - Whether this is the current user
+ * @returns {string} - Tailwind CSS class for the color
+ */
+export function getUserColor(userId, isCurrentUser = false) {
+  return getUserColorInfo(userId, isCurrentUser).className;
+}
+
+/**
+ * Get a user's color as a CSS color value, for canvas fillStyle and inline styles
+ * @param {string} userId - The user's ID
+ * @param {boolean} isCurrentUser - Whether this is the current user
+ * @returns {string} - Hex color (e.g. '#ef4444'), matching getUserColor's class
+ */
+export function getUserColorValue(userId, isCurrentUser = false) {
+  return getUserColorInfo(userId, isCurrentUser).hex;
+}
+
+/**
+ * Get the Tailwind class for a palette color name, e.g. for a color picker
+ * @param {string} name - Color name, e.g. 'red'
+ * @returns {string} - Tailwind CSS class, or '' for unknown names
+ */
+export function getColorClassByName(name) {
+  return findColorByName(name)?.className || '';
 }
 
 /**
@@ -55,13 +160,13 @@ export function getColorName(bgColorClass) {
   if (bgColorClass === 'bg-primary') {
     return 'Primary';
   }
-  
+
   // Extract the color name from the class (e.g., 'bg-red-500' -> 'Red')
   const match = bgColorClass.match(/bg-([a-z]+)-\d+/);
   if (match && match[1]) {
     return match[1].charAt(0).toUpperCase() + match[1].slice(1);
   }
-  
+
   return 'Unknown';
 }
 
@@ -69,5 +174,5 @@ export function getColorName(bgColorClass) {
  * Clear all color assignments
  */
 export function resetColorMap() {
-  colorMap.clear();
+  roomColors = new Map();
 }
@@ -0,0 +1,93 @@
+/**
+ * Utility functions for the shared world coordinate space.
+ *
+ * Cursor positions are exchanged in world coordinates: CSS pixels in document
+ * space, with the origin at the top centre of the page. The page content is
+ * centered, so the same world point lands on the same content for everyone,
+ * whatever their screen width or scroll position.
+ */
+
+/**
+ * Get the current viewport size and scroll offset
+ * @returns {Object} - The viewport { width, height, scrollX, scrollY }
+ */
+export function getViewport() {
+  if (typeof window === 'undefined') {
+    return { width: 0, height: 0, scrollX: 0, scrollY: 0 };
+  }
+
+  return {
+    // clientWidth excludes the scrollbar, matching where centered content is laid out
+    width: document.documentElement.clientWidth,
+    height: window.innerHeight,
+    scrollX: window.scrollX,
+    scrollY: window.scrollY,
+  };
+}
+
+/**
+ * Convert a viewport point (e.g. event.clientX/clientY) to world coordinates
+ * @param {Object} point - Viewport position {x, y}
+ * @param {Object} viewport - Viewport from getViewport()
+ * @returns {Object} - World position {x, y}
+ */
+export function clientToWorld(point, viewport = getViewport()) {
+  return {
+    x: point.x + viewport.scrollX - viewport.width / 2,
+    y: point.y + viewport.scrollY,
+  };
+}
+
+/**
+ * Convert a world point to a viewport point, for fixed-position elements
+ * @param {Object} point - World position {x, y}
+ * @param {Object} viewport - Viewport from getViewport()
+ * @returns {Object} - Viewport position {x, y}, possibly off-screen
+ */
+export function worldToClient(point, viewport = getViewport()) {
+  return {
+    x: point.x - viewport.scrollX + viewport.width / 2,
+    y: point.y - viewport.scrollY,
+  };
+}
+
+/**
+ * Get the offset that maps world coordinates onto a viewport-sized canvas
+ * @param {Object} viewport - Viewport from getViewport()
+ * @returns {Object} - Translation {x, y} to apply before drawing world positions
+ */
+export function getWorldToClientOffset(viewport = getViewport()) {
+  return worldToClient({ x: 0, y: 0 }, viewport);
+}
+
+/**
+ * Work out where to draw an indicator for a point outside the viewport
+ * @param {Object} point - Viewport position {x, y}
+ * @param {Object} viewport - Viewport from getViewport()
+ * @param {number} margin - Distance to keep from the viewport edges in pixels
+ * @returns {Object|null} - Indicator {x, y, angle} on the edge, with angle in degrees
+ * pointing toward the point (0 = right, 90 = down), or null if the point is visible
+ */
+export function getEdgeIndicator(point, viewport = getViewport(), margin = 24) {
+  const isVisible = point.x >= 0 && point.x <= viewport.width && point.y >= 0 && point.y <= viewport.height;
+  if (isVisible) return null;
+
+  const centerX = viewport.width / 2;
+  const centerY = viewport.height / 2;
+  const dx = point.x - centerX;
+  const dy = point.y - centerY;
+
+  // Scale the direction from the center until it touches the inset rectangle
+  const halfWidth = Math.max(centerX - margin, 0);
+  const halfHeight = Math.max(centerY - margin, 0);
+  const scale = Math.min(
+    dx !== 0 ? halfWidth / Math.abs(dx) : Infinity,
+    dy !== 0 ? halfHeight / Math.abs(dy) : Infinity
+  );
+
+  return {
+    x: centerX + dx * scale,
+    y: centerY + dy * scale,
+    angle: Math.atan2(dy, dx) * (180 / Math.PI),
+  };
+}
@@ -0,0 +1,100 @@
+/**
+ * A minimal event emitter, so several components can listen to the same source
+ * without knowing about each other.
+ */
+
+/**
+ * Create an event emitter
+ * @returns {Object} - Emitter with on(), off(), once(), emit(), listenerCount() and removeAllListeners()
+ */
+export function createEmitter() {
+  // Handlers per event name, in subscription order
+  const listeners = new Map();
+
+  /**
+   * Call a handler every time an event is emitted
+   * @param {string} event - Event name
+   * @param {Function} handler - Called with the event's arguments
+   * @returns {Function} - Removes the handler again
+   */
+  const on = (event, handler) => {
+    if (!listeners.has(event)) listeners.set(event, new Set());
+    listeners.get(event).add(handler);
+    return () => off(event, handler);
+  };
+
+  /**
+   * Stop calling a handler
+   * @param {string} event - Event name
+   * @param {Function} handler - A handler passed to on() or once()
+   */
+  const off = (event, handler) => {
+    const handlers = listeners.get(event);
+    if (!handlers) return;
+
+    handlers.delete(handler);
+    // once() wraps handlers; let the original remove its wrapper too
+    handlers.forEach(registered => {
+      if (registered.original === handler) handlers.delete(registered);
+    });
+    if (handlers.size === 0) listeners.delete(event);
+  };
+
+  /**
+   * Call a handler the next time an event is emitted only
+   * @param {string} event - Event name
+   * @param {Function} handler - Called with the event's arguments
+   * @returns {Function} - Removes the handler again, if it hasn't run yet
+   */
+  const once = (event, handler) => {
+    const wrapper = (...args) => {
+      off(event, wrapper);
+      handler(...args);
+    };
+    wrapper.original = handler;
+    return on(event, wrapper);
+  };
+
+  /**
+   * Call every handler of an event. A throwing handler is logged and doesn't
+   * stop the others.
+   * @param {string} event - Event name
+   * @param {...*} args - Arguments for the handlers
+   */
+  const emit = (event, ...args) => {
+    const handlers = listeners.get(event);
+    if (!handlers) return;
+
+    // Copy, so handlers can subscribe or unsubscribe while we iterate
+    [...handlers].forEach(handler => {
+      try {
+        handler(...args);
+      } catch (error) {
+        console.error(`Error in "${event}" listener:`, error);
+      }
+    });
+  };
+
+  /**
+   * Count the handlers of an event
+   * @param {string} event - Event name
+   * @returns {number} - Number of handlers
+   */
+  const listenerCount = (event) => listeners.get(event)?.size || 0;
+
+  /**
+   * Remove every handler, e.g. when the source is torn down
+   */
+  const removeAllListeners = () => {
+    listeners.clear();
+  };
+
+  return {
+    on,
+    off,
+    once,
+    emit,
+    listenerCount,
+    removeAllListeners,
+  };
+}
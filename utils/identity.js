@@ -0,0 +1,105 @@
+/**
+ * Utility functions for identifying this browser and this tab
+ */
+
+// A user id per browser (survives reloads and restarts)
+const USER_ID_STORAGE_KEY = 'multiplayer-user-id';
+
+// A session id per tab (survives reloads of that tab only)
+const SESSION_ID_STORAGE_KEY = 'multiplayer-session-id';
+
+// Ids used when storage is unavailable (SSR, Node, locked-down browsers)
+const memoryIds = {};
+
+/**
+ * Generate a random RFC 4122 version 4 UUID
+ * @returns {string} - A UUID such as "3b241101-e2bb-4255-8caf-4136c566a962"
+ */
+export function generateId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+
+  // randomUUID is only available in secure contexts; build one from random bytes
+  const bytes = new Uint8Array(16);
+  crypto.getRandomValues(bytes);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40; // Version 4
+  bytes[8] = (bytes[8] & 0x3f) | 0x80; // Variant 10
+
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Read an id from storage, creating and saving one if missing
+ * @param {string} storageName - 'localStorage' or 'sessionStorage'
+ * @param {string} key - Storage key
+ * @returns {string} - The stored id
+ */
+function readOrCreateId(storageName, key) {
+  try {
+    const storage = window[storageName];
+    let id = storage.getItem(key);
+    if (!id) {
+      id = generateId();
+      storage.setItem(key, id);
+    }
+    return id;
+  } catch {
+    if (!memoryIds[key]) {
+      memoryIds[key] = generateId();
+    }
+    return memoryIds[key];
+  }
+}
+
+/**
+ * Get this browser's persistent user id
+ * @returns {string} - The user id
+ */
+export function getUserId() {
+  return readOrCreateId('localStorage', USER_ID_STORAGE_KEY);
+}
+
+/**
+ * Get this tab's session id
+ * @returns {string} - The session id
+ */
+export function getSessionId() {
+  return readOrCreateId('sessionStorage', SESSION_ID_STORAGE_KEY);
+}
+
+/**
+ * Replace this tab's session id, e.g. after a duplicated tab copied it
+ * @returns {string} - The new session id
+ */
+export function renewSessionId() {
+  const id = generateId();
+
+  try {
+    window.sessionStorage.setItem(SESSION_ID_STORAGE_KEY, id);
+  } catch {
+    memoryIds[SESSION_ID_STORAGE_KEY] = id;
+  }
+
+  return id;
+}
+
+/**
+ * Build the presence key for a user in a tab
+ * @param {string} userId - The user id
+ * @param {string} sessionId - The session id
+ * @returns {string} - The client id, unique per tab
+ */
+export function getClientId(userId, sessionId) {
+  return `${userId}:${sessionId}`;
+}
+
+/**
+ * Get a short, human-readable label for a user id
+ * @param {string} userId - The user id
+ * @returns {string} - The first 4 characters (e.g. "3b24")
+ */
+export function getShortId(userId) {
+  return userId.slice(0, 4);
+}
@@ -2,14 +2,84 @@
  * A utility for smoothly interpolating between positions with advanced smoothing
  */
 
+import { browserScheduler } from '@/utils/scheduler';
+import { getTicker } from '@/utils/ticker';
+
+// Dead reckoning constants
+const MAX_PREDICTION_TIME = 250; // Never extrapolate further ahead than this (ms)
+const PREDICTION_DECAY = 80; // Time constant of the velocity decay while extrapolating (ms)
+const MAX_VELOCITY_GAP = 200; // Samples further apart than this don't give a usable velocity (ms)
+const CORRECTION_TIME = 120; // Time constant for blending out a misprediction (ms)
+
+// Staleness constants
+const STALE_AFTER = 500; // A moving cursor without data for this long is stale (ms)
+const STALE_FADE_DURATION = 1500; // Time to fade a stale cursor to its minimum opacity (ms)
+const MIN_STALE_OPACITY = 0.3;
+
+/**
+ * Estimate velocity from two timestamped samples
+ * @param {Object|null} previous - The earlier sample {x, y, t}
+ * @param {Object} next - The later sample {x, y, t}
+ * @returns {Object} - Velocity {x, y} in pixels per ms, zero if it can't be estimated
+ */
+function estimateVelocity(previous, next) {
+  const dt = previous ? next.t - previous.t : 0;
+  if (dt <= 0 || dt > MAX_VELOCITY_GAP) return { x: 0, y: 0 };
+  return {
+    x: (next.x - previous.x) / dt,
+    y: (next.y - previous.y) / dt,
+  };
+}
+
+/**
+ * Predict where a cursor has moved since its last known position. The velocity
+ * decays while we predict and the horizon is capped, so a cursor that stopped
+ * (or lost its connection) eases to a halt instead of flying off.
+ * @param {Object} position - Last known position {x, y}
+ * @param {Object} velocity - Velocity {x, y} in pixels per ms
+ * @param {number} elapsed - Time since the last known position (ms)
+ * @returns {Object} - Predicted position {x, y}
+ */
+function extrapolate(position, velocity, elapsed) {
+  const horizon = Math.min(Math.max(elapsed, 0), MAX_PREDICTION_TIME);
+  const travel = PREDICTION_DECAY * (1 - Math.exp(-horizon / PREDICTION_DECAY));
+  return {
+    x: position.x + velocity.x * travel,
+    y: position.y + velocity.y * travel,
+  };
+}
+
+/**
+ * Whether a velocity is zero, i.e. the sender's cursor came to rest
+ * @param {Object} velocity - Velocity {x, y}
+ * @returns {boolean}
+ */
+function isAtRest(velocity) {
+  return velocity.x === 0 && velocity.y === 0;
+}
+
+/**
+ * Get the opacity to draw a cursor with, fading it once its data is stale
+ * @param {number} staleness - How long the cursor has been without data while moving (ms), from getStaleness()
+ * @returns {number} - Opacity between MIN_STALE_OPACITY and 1
+ */
+export function getStaleOpacity(staleness) {
+  if (staleness <= STALE_AFTER) return 1;
+  const progress = Math.min((staleness - STALE_AFTER) / STALE_FADE_DURATION, 1);
+  return 1 - progress * (1 - MIN_STALE_OPACITY);
+}
+
 /**
  * Create a new interpolated position tracker with enhanced smoothness
  * @param {Object} initialPosition - The initial position {x, y}
  * @param {number} smoothFactor - How smooth the interpolation should be (0-1, lower = smoother)
  * @param {number} maxSpeed - Maximum speed in pixels per frame (optional)
+ * @param {Object} options - Extra options
+ * @param {Object} options.scheduler - Clock and frame scheduler (see utils/scheduler.js), defaults to the browser's
+ * @param {Object} options.ticker - Animation loop to run in (see utils/ticker.js), defaults to the scheduler's shared one
  * @returns {Object} - An object with methods to update and get the interpolated position
  */
-export function createInterpolatedPosition(initialPosition = { x: 0, y: 0 }, smoothFactor = 0.2, maxSpeed = 30) {
+export function createInterpolatedPosition(initialPosition = { x: 0, y: 0 }, smoothFactor = 0.2, maxSpeed = 30, { scheduler = browserScheduler, ticker = getTicker(scheduler) } = {}) {
   // Current interpolated position
   let currentPosition = { ...initialPosition };
   
@@ -22,45 +92,91 @@ export function createInterpolatedPosition(initialPosition = { x: 0, y: 0 }, smo
   // Previous positions for trail effect
   const trailPositions = Array(5).fill().map(() => ({ ...initialPosition }));
   
-  // Last animation frame ID for cancellation
-  let animationFrameId = null;
-  
   // Whether the animation is running
   let isAnimating = false;
   
   // Last update timestamp for consistent animation speed
   let lastUpdateTime = 0;
   
+  // Dead reckoning: the last reported position, the newest timestamped sample,
+  // the sender's velocity from the samples and when the last report arrived
+  let reportedPosition = { ...initialPosition };
+  let lastSample = null;
+  let sampleVelocity = { x: 0, y: 0 };
+  let lastReportTime = scheduler.now();
+  
   /**
-   * Update the target position
-   * @param {Object} newPosition - The new target position {x, y}
+   * Update the target position. Positions with a sender timestamp t (ms) drive
+   * dead reckoning: while the next one is late, the target keeps moving at the
+   * sender's last velocity, and the spring corrects smoothly once it arrives.
+   * @param {Object} newPosition - The new target position {x, y, t?}
    */
   const updateTargetPosition = (newPosition) => {
-    targetPosition = { ...newPosition };
+    const isTimed = newPosition.t !== undefined;
+    
+    // Callers may pass the same report again (e.g. when someone else moves)
+    if (isTimed ? newPosition.t === lastSample?.t : newPosition.x === reportedPosition.x && newPosition.y === reportedPosition.y) {
+      return;
+    }
+    
+    if (isTimed) {
+      sampleVelocity = estimateVelocity(lastSample, newPosition);
+      lastSample = { x: newPosition.x, y: newPosition.y, t: newPosition.t };
+    } else {
+      // Without a timestamp we can't tell how fast the cursor is moving
+      sampleVelocity = { x: 0, y: 0 };
+      lastSample = null;
+    }
+    
+    reportedPosition = { x: newPosition.x, y: newPosition.y };
+    targetPosition = { ...reportedPosition };
+    lastReportTime = scheduler.now();
     
     // Start animation if not already running
     if (!isAnimating) {
-      lastUpdateTime = performance.now();
+      lastUpdateTime = scheduler.now();
       startAnimation();
     }
   };
   
   /**
-   * Start the animation loop
+   * Whether we're still extrapolating past the last report
+   * @param {number} now - Current time (ms)
+   * @returns {boolean}
+   */
+  const isPredicting = (now) => {
+    return !isAtRest(sampleVelocity) && now - lastReportTime < MAX_PREDICTION_TIME;
+  };
+  
+  /**
+   * Start animating in the shared loop
    */
   const startAnimation = () => {
     isAnimating = true;
-    animationFrameId = requestAnimationFrame(animate);
+    ticker.add(animate);
+  };
+  
+  /**
+   * Leave the shared loop until the target moves again
+   */
+  const stopAnimation = () => {
+    isAnimating = false;
+    ticker.remove(animate);
   };
   
   /**
-   * Animation loop with improved physics
+   * Advance one frame with improved physics
    */
   const animate = (timestamp) => {
     // Calculate time delta for frame-rate independent movement
     const deltaTime = Math.min(timestamp - lastUpdateTime, 33) / 16.67; // Cap at ~60fps equivalent
     lastUpdateTime = timestamp;
     
+    // Move the target along the sender's path while we wait for the next report
+    if (!isAtRest(sampleVelocity)) {
+      targetPosition = extrapolate(reportedPosition, sampleVelocity, timestamp - lastReportTime);
+    }
+    
     // Calculate distance to target
     const dx = targetPosition.x - currentPosition.x;
     const dy = targetPosition.y - currentPosition.y;
@@ -71,10 +187,10 @@ export function createInterpolatedPosition(initialPosition = { x: 0, y: 0 }, smo
     // If we're very close to the target, just snap to it
     const isCloseEnough = distance < 0.5;
     
-    if (isCloseEnough) {
+    if (isCloseEnough && !isPredicting(timestamp)) {
       velocity = { x: 0, y: 0 };
       currentPosition = { ...targetPosition };
-      isAnimating = false;
+      stopAnimation();
     } else {
       // Apply spring physics for smoother movement
       // Spring force + damping
@@ -100,9 +216,6 @@ export function createInterpolatedPosition(initialPosition = { x: 0, y: 0 }, smo
       // Update trail positions
       trailPositions.pop(); // Remove last position
       trailPositions.unshift({ ...currentPosition }); // Add current position to front
-      
-      // Continue animation
-      animationFrameId = requestAnimationFrame(animate);
     }
   };
   
@@ -122,20 +235,352 @@ export function createInterpolatedPosition(initialPosition = { x: 0, y: 0 }, smo
     return [...trailPositions];
   };
   
+  /**
+   * Get how long this cursor has been moving without new data
+   * @returns {number} - Time since the last report (ms), or 0 if the cursor is at rest
+   */
+  const getStaleness = () => {
+    return isAtRest(sampleVelocity) ? 0 : scheduler.now() - lastReportTime;
+  };
+  
   /**
    * Clean up resources
    */
   const cleanup = () => {
-    if (animationFrameId) {
-      cancelAnimationFrame(animationFrameId);
+    stopAnimation();
+  };
+  
+  return {
+    updateTargetPosition,
+    getCurrentPosition,
+    getTrailPositions,
+    getStaleness,
+    cleanup
+  };
+}
+
+// Snapshot buffer constants
+const MIN_INTERPOLATION_DELAY = 50; // Never render closer than this to the newest data (ms)
+const MAX_INTERPOLATION_DELAY = 500; // Never lag further behind than this (ms)
+const DELAY_MARGIN = 10; // Extra safety margin on top of the measured need (ms)
+const OFFSET_WINDOW = 50; // Arrivals used to estimate the sender's clock offset
+const TRAIL_LENGTH = 5; // Positions returned by getTrailPositions
+const TRAIL_SPACING = 16; // Time between trail positions (ms)
+const MAX_ARRIVAL_GAP = 1000; // Batches further apart follow a pause, not network delay (ms); see MAX_SAMPLE_GAP in data/cursorCodec.js
+
+/**
+ * Interpolation modes for remote cursors
+ */
+export const INTERPOLATION_MODES = {
+  SPRING: 'spring', // Chase the latest target with a spring (createInterpolatedPosition)
+  BUFFER: 'buffer', // Replay timestamped samples a little in the past (createBufferedPosition)
+  SPLINE: 'spline', // Like buffer, but along a Catmull-Rom spline through the samples
+};
+
+/**
+ * Slope of the line through two samples, per ms
+ * @param {Object} a - The earlier sample {x, y, t}
+ * @param {Object} b - The later sample {x, y, t}
+ * @returns {Object} - Slope {x, y}, zero if the samples share a timestamp
+ */
+function getSlope(a, b) {
+  const dt = b.t - a.t;
+  if (dt <= 0) return { x: 0, y: 0 };
+  return { x: (b.x - a.x) / dt, y: (b.y - a.y) / dt };
+}
+
+/**
+ * Interpolate between p1 and p2 along a Catmull-Rom spline, parameterised by
+ * sample time so uneven sample spacing doesn't bend the curve. Tangents come from
+ * the neighbouring samples p0 and p3, so the curve passes through every sample and
+ * keeps the shape of circles and corners. (Equivalent to a cubic Bezier with
+ * control points a third of the way along each tangent.)
+ * @param {Object} p0 - Sample before p1 (or p1 itself at the start)
+ * @param {Object} p1 - Sample at or before renderTime
+ * @param {Object} p2 - Sample after renderTime
+ * @param {Object} p3 - Sample after p2 (or p2 itself at the end)
+ * @param {number} renderTime - Time to evaluate, between p1.t and p2.t
+ * @returns {Object} - Position {x, y}
+ */
+function getCatmullRomPoint(p0, p1, p2, p3, renderTime) {
+  const span = p2.t - p1.t;
+  if (span <= 0) return { x: p2.x, y: p2.y };
+  
+  const s = (renderTime - p1.t) / span;
+  const s2 = s * s;
+  const s3 = s2 * s;
+  
+  // Hermite basis, with tangents scaled from per-ms to per-span
+  const h00 = 2 * s3 - 3 * s2 + 1;
+  const h10 = s3 - 2 * s2 + s;
+  const h01 = -2 * s3 + 3 * s2;
+  const h11 = s3 - s2;
+  const m1 = getSlope(p0, p2);
+  const m2 = getSlope(p1, p3);
+  
+  return {
+    x: h00 * p1.x + h10 * span * m1.x + h01 * p2.x + h11 * span * m2.x,
+    y: h00 * p1.y + h10 * span * m1.y + h01 * p2.y + h11 * span * m2.y,
+  };
+}
+
+/**
+ * Create a position tracker that buffers timestamped samples from the sender and
+ * renders them at `now - interpolationDelay`, interpolating between the two samples
+ * around that time. Network jitter is absorbed by the delay instead of showing up as
+ * speed-ups and stalls; the delay adapts to the jitter measured on arrival.
+ * @param {Object} initialPosition - The initial position {x, y}
+ * @param {Object} options - Buffer options
+ * @param {number} options.initialDelay - Interpolation delay to start with (ms)
+ * @param {boolean} options.spline - Follow a Catmull-Rom spline through the samples instead of straight lines
+ * @param {Object} options.scheduler - Clock (see utils/scheduler.js); its dateNow() must share the senders' epoch
+ * @returns {Object} - An object with methods to add samples and get the interpolated position
+ */
+export function createBufferedPosition(initialPosition = { x: 0, y: 0 }, { initialDelay = 100, spline = false, scheduler = browserScheduler } = {}) {
+  // Samples [{x, y, t}] sorted by sender time t (ms on the sender's clock)
+  let samples = [];
+  
+  // Recent (local arrival time - sender time) values; their minimum is our best
+  // estimate of clock offset plus the fastest possible network delay
+  let offsets = [];
+  let minOffset = null;
+  
+  // Adaptive delay state
+  let interpolationDelay = initialDelay;
+  let jitter = 0;
+  let arrivalInterval = null;
+  let lastArrivalTime = null;
+  
+  // Position shown before any samples arrive
+  let fallbackPosition = { ...initialPosition };
+  
+  // Offset between what we showed while extrapolating and the real path, blended
+  // out after late samples arrive so the cursor doesn't jump
+  let correction = { x: 0, y: 0 };
+  let correctionTime = 0;
+  
+  /**
+   * Get the sender-clock time we should be rendering now
+   * @param {number} now - Local time (ms since epoch)
+   * @returns {number} - Render time on the sender's clock
+   */
+  const getRenderTime = (now = scheduler.dateNow()) => {
+    return now - (minOffset ?? 0) - interpolationDelay;
+  };
+  
+  /**
+   * Update the clock offset, jitter and delay estimates from a batch arrival
+   * @param {number} newestSampleTime - Sender time of the newest sample in the batch
+   */
+  const measureArrival = (newestSampleTime) => {
+    const now = scheduler.dateNow();
+    
+    offsets.push(now - newestSampleTime);
+    if (offsets.length > OFFSET_WINDOW) offsets.shift();
+    minOffset = Math.min(...offsets);
+    
+    // The first batch after the sender rested says nothing about the network;
+    // counting the pause would make the cursor lag for seconds once it moves again
+    const interval = lastArrivalTime === null ? null : now - lastArrivalTime;
+    lastArrivalTime = now;
+    if (interval === null || interval > MAX_ARRIVAL_GAP) return;
+    
+    // How late this batch was compared to the fastest one we've seen
+    const lateness = now - newestSampleTime - minOffset;
+    jitter += (lateness - jitter) * 0.1;
+    arrivalInterval = arrivalInterval === null ? interval : arrivalInterval + (interval - arrivalInterval) * 0.1;
+    
+    // We need data to cover the gap until the next batch, plus its expected lateness
+    const targetDelay = Math.min(
+      MAX_INTERPOLATION_DELAY,
+      Math.max(MIN_INTERPOLATION_DELAY, (arrivalInterval ?? initialDelay) + 2 * jitter + DELAY_MARGIN)
+    );
+    
+    // Ease toward the target so playback speed never visibly jumps
+    interpolationDelay += (targetDelay - interpolationDelay) * 0.1;
+  };
+  
+  /**
+   * Add a batch of timestamped samples from the sender
+   * @param {Array} newSamples - Samples [{x, y, t}], t in the sender's ms
+   */
+  const addSamples = (newSamples) => {
+    if (newSamples.length === 0) return;
+    
+    // Where we're showing the cursor now, which may be a prediction
+    const wasExtrapolating = samples.length > 0 && getRenderTime() > samples[samples.length - 1].t;
+    const shownPosition = wasExtrapolating ? getCurrentPosition() : null;
+    
+    measureArrival(newSamples[newSamples.length - 1].t);
+    
+    samples.push(...newSamples.map(sample => ({ x: sample.x, y: sample.y, t: sample.t })));
+    samples.sort((a, b) => a.t - b.t);
+    
+    // Keep what the trail still needs, plus two samples before it (the spline's
+    // tangent at the oldest segment needs the sample before that segment)
+    const oldestNeeded = getRenderTime() - TRAIL_LENGTH * TRAIL_SPACING;
+    const firstKept = samples.findIndex(sample => sample.t >= oldestNeeded);
+    if (firstKept === -1) {
+      // All in the past; the last two still give the velocity to extrapolate with
+      samples = samples.slice(-2);
+    } else if (firstKept > 2) {
+      samples = samples.slice(firstKept - 2);
     }
-    isAnimating = false;
+    
+    if (shownPosition) {
+      const actual = getPositionAt(getRenderTime());
+      correction = { x: shownPosition.x - actual.x, y: shownPosition.y - actual.y };
+      correctionTime = scheduler.dateNow();
+    }
+  };
+  
+  /**
+   * Get the sender's velocity at the end of the buffered data
+   * @returns {Object} - Velocity {x, y} in pixels per ms
+   */
+  const getEndVelocity = () => {
+    if (samples.length < 2) return { x: 0, y: 0 };
+    return estimateVelocity(samples[samples.length - 2], samples[samples.length - 1]);
+  };
+  
+  /**
+   * Get what's left of the misprediction correction
+   * @returns {Object} - Offset {x, y} to add to positions
+   */
+  const getCorrection = () => {
+    const remaining = Math.exp(-(scheduler.dateNow() - correctionTime) / CORRECTION_TIME);
+    return { x: correction.x * remaining, y: correction.y * remaining };
+  };
+  
+  /**
+   * Get the position at a sender-clock time
+   * @param {number} renderTime - Sender time
+   * @returns {Object} - Position {x, y}
+   */
+  const getPositionAt = (renderTime) => {
+    if (samples.length === 0) return { ...fallbackPosition };
+    
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    if (renderTime <= first.t) return { x: first.x, y: first.y };
+    // Out of data: dead-reckon from the newest sample until more arrives
+    if (renderTime >= last.t) return extrapolate(last, getEndVelocity(), renderTime - last.t);
+    
+    // Find the samples on either side of renderTime
+    let index = 1;
+    while (samples[index].t < renderTime) index++;
+    const before = samples[index - 1];
+    const after = samples[index];
+    
+    if (spline) {
+      return getCatmullRomPoint(
+        samples[Math.max(index - 2, 0)],
+        before,
+        after,
+        samples[Math.min(index + 1, samples.length - 1)],
+        renderTime
+      );
+    }
+    
+    const span = after.t - before.t;
+    const progress = span > 0 ? (renderTime - before.t) / span : 1;
+    return {
+      x: before.x + (after.x - before.x) * progress,
+      y: before.y + (after.y - before.y) * progress,
+    };
+  };
+  
+  /**
+   * Set a position without a sender timestamp (e.g. from presence).
+   * Ignored once timestamped samples are flowing, since those are more precise.
+   * @param {Object} newPosition - The new position {x, y}
+   */
+  const updateTargetPosition = (newPosition) => {
+    if (samples.length === 0) {
+      fallbackPosition = { ...newPosition };
+    }
+  };
+  
+  /**
+   * Get the current interpolated position
+   * @returns {Object} - The current position {x, y}
+   */
+  const getCurrentPosition = () => {
+    const position = getPositionAt(getRenderTime());
+    const offset = getCorrection();
+    return { x: position.x + offset.x, y: position.y + offset.y };
+  };
+  
+  /**
+   * Get trail positions for visual effects, sampled along the same path (straight
+   * or spline) the cursor follows
+   * @returns {Array} - Positions along the recent path, newest first
+   */
+  const getTrailPositions = () => {
+    const renderTime = getRenderTime();
+    const offset = getCorrection();
+    return Array.from({ length: TRAIL_LENGTH }, (_, index) => {
+      const position = getPositionAt(renderTime - index * TRAIL_SPACING);
+      return { x: position.x + offset.x, y: position.y + offset.y };
+    });
+  };
+  
+  /**
+   * Get how long this cursor has been moving without new data
+   * @returns {number} - Time we've been rendering past the newest sample (ms), or 0 if the cursor is at rest
+   */
+  const getStaleness = () => {
+    if (samples.length === 0 || isAtRest(getEndVelocity())) return 0;
+    return Math.max(0, getRenderTime() - samples[samples.length - 1].t);
+  };
+  
+  /**
+   * Get the current buffer statistics
+   * @returns {Object} - { delay, jitter, bufferedSamples } with times in ms
+   */
+  const getStats = () => ({
+    delay: interpolationDelay,
+    jitter,
+    bufferedSamples: samples.length,
+  });
+  
+  /**
+   * Clean up resources (nothing to release; positions are computed on demand)
+   */
+  const cleanup = () => {
+    samples = [];
+    offsets = [];
   };
   
   return {
+    mode: spline ? INTERPOLATION_MODES.SPLINE : INTERPOLATION_MODES.BUFFER,
+    addSamples,
     updateTargetPosition,
     getCurrentPosition,
     getTrailPositions,
+    getStaleness,
+    getStats,
     cleanup
   };
 }
+
+/**
+ * Create a position tracker in the given mode
+ * @param {string} mode - One of INTERPOLATION_MODES
+ * @param {Object} initialPosition - The initial position {x, y}
+ * @param {Object} options - Mode options: { smoothFactor, maxSpeed, ticker } for spring, { initialDelay }
+ * for buffer and spline, and { scheduler } for all
+ * @returns {Object} - The position tracker
+ */
+export function createInterpolator(mode, initialPosition, options = {}) {
+  if (mode === INTERPOLATION_MODES.BUFFER || mode === INTERPOLATION_MODES.SPLINE) {
+    return createBufferedPosition(initialPosition, {
+      ...options,
+      spline: mode === INTERPOLATION_MODES.SPLINE,
+    });
+  }
+  return {
+    mode: INTERPOLATION_MODES.SPRING,
+    ...createInterpolatedPosition(initialPosition, options.smoothFactor, options.maxSpeed, options),
+  };
+}
@@ -0,0 +1,178 @@
+/**
+ * Utility functions for measuring realtime traffic
+ */
+
+/**
+ * Create a counter that reports how many events happened per second
+ * @param {number} windowMs - Length of the rolling window in milliseconds
+ * @returns {Object} - Counter with record(), getRate() and getTotal()
+ */
+export function createRateCounter(windowMs = 1000) {
+  // Timestamps of events inside the window, oldest first
+  let timestamps = [];
+  let total = 0;
+
+  /**
+   * Drop events that have left the window
+   */
+  const prune = (now) => {
+    const cutoff = now - windowMs;
+    let firstInWindow = 0;
+    while (firstInWindow < timestamps.length && timestamps[firstInWindow] <= cutoff) {
+      firstInWindow++;
+    }
+    if (firstInWindow > 0) {
+      timestamps = timestamps.slice(firstInWindow);
+    }
+  };
+
+  /**
+   * Record one or more events
+   * @param {number} count - Number of events that just happened
+   */
+  const record = (count = 1) => {
+    const now = performance.now();
+    prune(now);
+    for (let i = 0; i < count; i++) {
+      timestamps.push(now);
+    }
+    total += count;
+  };
+
+  /**
+   * Get the current rate
+   * @returns {number} - Events per second over the window
+   */
+  const getRate = () => {
+    prune(performance.now());
+    return (timestamps.length * 1000) / windowMs;
+  };
+
+  return {
+    record,
+    getRate,
+    getTotal: () => total,
+  };
+}
+
+/**
+ * Create a rolling window of measurements (e.g. round trip times) with summary statistics
+ * @param {number} windowSize - How many of the most recent measurements to keep
+ * @returns {Object} - Window with add(), getPercentile(), getJitter(), getValues() and clear()
+ */
+export function createRollingStats(windowSize = 50) {
+  // Measurements in the order they were taken, oldest first
+  let values = [];
+
+  /**
+   * Add a measurement
+   * @param {number} value - The measurement
+   */
+  const add = (value) => {
+    values.push(value);
+    if (values.length > windowSize) values.shift();
+  };
+
+  /**
+   * Get a percentile of the window (nearest rank)
+   * @param {number} percentile - 0-100, e.g. 50 for the median
+   * @returns {number|null} - The value, or null if the window is empty
+   */
+  const getPercentile = (percentile) => {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = Math.ceil((percentile / 100) * sorted.length);
+    return sorted[Math.min(Math.max(rank - 1, 0), sorted.length - 1)];
+  };
+
+  /**
+   * Get the jitter: the mean difference between consecutive measurements
+   * @returns {number|null} - Jitter in the measurements' unit, or null with fewer than two
+   */
+  const getJitter = () => {
+    if (values.length < 2) return null;
+    let total = 0;
+    for (let i = 1; i < values.length; i++) {
+      total += Math.abs(values[i] - values[i - 1]);
+    }
+    return total / (values.length - 1);
+  };
+
+  return {
+    add,
+    getPercentile,
+    getJitter,
+    getValues: () => [...values],
+    getCount: () => values.length,
+    clear: () => {
+      values = [];
+    },
+  };
+}
+
+// Sequence jumps beyond these are restarts (e.g. a reloaded tab), not loss or reordering
+const MAX_SEQUENCE_GAP = 1000;
+const MAX_SEQUENCE_REORDER = 100;
+
+/**
+ * Create a packet loss tracker. Every sender numbers its messages 1, 2, 3...;
+ * a jump in a sender's numbers means the messages in between never arrived.
+ * @param {number} windowMs - Length of the rolling window the loss rate covers
+ * @returns {Object} - Tracker with record(), getLossRate(), removeSender() and reset()
+ */
+export function createLossTracker(windowMs = 10000) {
+  // Next sequence number we expect from each sender
+  const nextExpected = new Map();
+  let received = createRateCounter(windowMs);
+  let lost = createRateCounter(windowMs);
+
+  /**
+   * Record a received message
+   * @param {string} senderId - Who sent it
+   * @param {number} sequence - Its sequence number
+   * @returns {boolean} - False if it arrived out of order (or twice)
+   */
+  const record = (senderId, sequence) => {
+    received.record();
+
+    const expected = nextExpected.get(senderId);
+    if (expected === undefined || sequence - expected > MAX_SEQUENCE_GAP || expected - sequence > MAX_SEQUENCE_REORDER) {
+      // First message from this sender, or they started counting again
+      nextExpected.set(senderId, sequence + 1);
+      return true;
+    }
+
+    if (sequence < expected) {
+      return false;
+    }
+
+    if (sequence > expected) {
+      lost.record(sequence - expected);
+    }
+    nextExpected.set(senderId, sequence + 1);
+    return true;
+  };
+
+  /**
+   * Get the share of messages lost over the window
+   * @returns {number} - Loss rate between 0 and 1
+   */
+  const getLossRate = () => {
+    const lostRate = lost.getRate();
+    const total = lostRate + received.getRate();
+    return total > 0 ? lostRate / total : 0;
+  };
+
+  return {
+    record,
+    getLossRate,
+    removeSender: (senderId) => {
+      nextExpected.delete(senderId);
+    },
+    reset: () => {
+      nextExpected.clear();
+      received = createRateCounter(windowMs);
+      lost = createRateCounter(windowMs);
+    },
+  };
+}
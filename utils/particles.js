@@ -1,12 +1,20 @@
+import { browserScheduler } from '@/utils/scheduler';
+
+// Most particles one update emits; a cursor that jumps far gets a sparser trail, not thousands of particles
+const MAX_EMITTED_PER_UPDATE = 64;
+
 /**
  * Creates a particle system for cursor trails
  * @param {string} color - The color of the particles (in hex or rgba format)
  * @param {number} lifetime - How long particles live in milliseconds
  * @param {number} size - Starting size of particles in pixels
  * @param {number} decay - How quickly particles fade (0-1)
+ * @param {Object} options - Extra options
+ * @param {Object} options.scheduler - Clock (see utils/scheduler.js), defaults to the browser's
+ * @param {Function} options.random - Source of randomness in [0, 1), for repeatable runs
  * @returns {Object} Particle system controller
  */
-export function createParticleSystem(color = 'rgba(255, 255, 255, 0.7)', lifetime = 800, size = 5, decay = 0.95) {
+export function createParticleSystem(color = 'rgba(255, 255, 255, 0.7)', lifetime = 800, size = 5, decay = 0.95, { scheduler = browserScheduler, random = Math.random } = {}) {
   let particles = [];
   let lastPosition = null;
   let emissionRate = 3; // Pixels between particle emissions
@@ -17,16 +25,16 @@ export function createParticleSystem(color = 'rgba(255, 255, 255, 0.7)', lifetim
    */
   const createParticle = (x, y) => {
     // Random offset for more natural look
-    const offsetX = (Math.random() - 0.5) * 3;
-    const offsetY = (Math.random() - 0.5) * 3;
+    const offsetX = (random() - 0.5) * 3;
+    const offsetY = (random() - 0.5) * 3;
     
     particles.push({
       x: x + offsetX,
       y: y + offsetY,
-      size: size * (0.7 + Math.random() * 0.3), // Slightly random size
-      alpha: 0.7 + Math.random() * 0.3, // Slightly random alpha
-      createdAt: performance.now(),
-      lifetime: lifetime * (0.8 + Math.random() * 0.4), // Slightly random lifetime
+      size: size * (0.7 + random() * 0.3), // Slightly random size
+      alpha: 0.7 + random() * 0.3, // Slightly random alpha
+      createdAt: scheduler.now(),
+      lifetime: lifetime * (0.8 + random() * 0.4), // Slightly random lifetime
     });
   };
   
@@ -34,7 +42,7 @@ export function createParticleSystem(color = 'rgba(255, 255, 255, 0.7)', lifetim
    * Update the particle system with a new cursor position
    */
   const update = (position) => {
-    const now = performance.now();
+    const now = scheduler.now();
     
     // Update existing particles (fade them out)
     particles = particles.filter(particle => {
@@ -54,7 +62,7 @@ export function createParticleSystem(color = 'rgba(255, 255, 255, 0.7)', lifetim
       
       // Emit particles along the path if we've moved enough
       if (distanceSinceLastEmit >= emissionRate) {
-        const steps = Math.floor(distanceSinceLastEmit / emissionRate);
+        const steps = Math.min(Math.floor(distanceSinceLastEmit / emissionRate), MAX_EMITTED_PER_UPDATE);
         const stepX = dx / steps;
         const stepY = dy / steps;
         
@@ -76,7 +84,7 @@ export function createParticleSystem(color = 'rgba(255, 255, 255, 0.7)', lifetim
    * Render all particles to a canvas context
    */
   const render = (ctx) => {
-    const now = performance.now();
+    const now = scheduler.now();
     
     particles.forEach(particle => {
       const age = now - particle.createdAt;
@@ -95,6 +103,14 @@ export function createParticleSystem(color = 'rgba(255, 255, 255, 0.7)', lifetim
     ctx.globalAlpha = 1;
   };
   
+  /**
+   * Change the color of all particles
+   * @param {string} newColor - CSS color value
+   */
+  const setColor = (newColor) => {
+    color = newColor;
+  };
+  
   /**
    * Clear all particles
    */
@@ -107,6 +123,7 @@ export function createParticleSystem(color = 'rgba(255, 255, 255, 0.7)', lifetim
     update,
     render,
     clear,
+    setColor,
     getParticleCount: () => particles.length
   };
 }
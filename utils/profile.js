@@ -0,0 +1,87 @@
+/**
+ * Utility functions for the user's display name and avatar
+ */
+
+import { getShortId } from '@/utils/identity';
+import { USER_COLOR_NAMES } from '@/utils/colors';
+
+// Where the profile is persisted in localStorage
+const PROFILE_STORAGE_KEY = 'multiplayer-profile';
+
+// Longest display name we send or render
+export const MAX_DISPLAY_NAME_LENGTH = 24;
+
+// Emoji a user can pick as their avatar
+export const PROFILE_EMOJIS = ['😀', '🦊', '🐼', '🐙', '🚀', '🌵', '🍕', '🎧', '⚡', '🌈'];
+
+/**
+ * Clean up a profile so it is safe to store, send and render
+ * @param {Object} profile - A profile { name, emoji, color }, possibly from another client
+ * @returns {Object} - The profile with a trimmed name and a known emoji and color (or empty strings)
+ */
+export function sanitizeProfile(profile = {}) {
+  const name = typeof profile.name === 'string'
+    ? profile.name.replace(/\s+/g, ' ').trim().slice(0, MAX_DISPLAY_NAME_LENGTH)
+    : '';
+  const emoji = PROFILE_EMOJIS.includes(profile.emoji) ? profile.emoji : '';
+  const color = USER_COLOR_NAMES.includes(profile.color) ? profile.color : '';
+
+  return { name, emoji, color };
+}
+
+/**
+ * Load the saved profile
+ * @returns {Object} - The saved profile, or an empty one on first visit / during SSR
+ */
+export function loadProfile() {
+  if (typeof window === 'undefined') {
+    return sanitizeProfile();
+  }
+
+  try {
+    return sanitizeProfile(JSON.parse(window.localStorage.getItem(PROFILE_STORAGE_KEY)) || {});
+  } catch (error) {
+    console.error('Error loading profile:', error);
+    return sanitizeProfile();
+  }
+}
+
+/**
+ * Save the profile for future visits
+ * @param {Object} profile - The profile { name, emoji, color }
+ * @returns {Object} - The sanitized profile that was saved
+ */
+export function saveProfile(profile) {
+  const sanitized = sanitizeProfile(profile);
+
+  try {
+    window.localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(sanitized));
+  } catch (error) {
+    console.error('Error saving profile:', error);
+  }
+
+  return sanitized;
+}
+
+/**
+ * Get the name to show for a user
+ * @param {Object} user - A user { id, userId, name }
+ * @returns {string} - Their display name, falling back to a short guest label
+ */
+export function getDisplayName(user) {
+  return user.name || `Guest ${getShortId(user.userId || user.id)}`;
+}
+
+/**
+ * Get up to two initials from a display name, for avatars without an emoji
+ * @param {string} name - The display name
+ * @returns {string} - Initials (e.g. "Ada Lovelace" -> "AL")
+ */
+export function getInitials(name) {
+  return name
+    .split(/[\s-]+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map(part => part[0].toUpperCase())
+    .join('');
+}
@@ -0,0 +1,54 @@
+/**
+ * Utility functions for naming and validating rooms
+ */
+
+// Room ids become part of the channel name (room:<id>) and the URL (/room/<id>)
+const ROOM_ID_PATTERN = /^[a-z0-9](?:[a-z0-9-]{1,30}[a-z0-9])$/;
+
+// Word lists for readable generated room names
+const ADJECTIVES = ['swift', 'quiet', 'bright', 'brave', 'calm', 'lucky', 'bold', 'sunny', 'misty', 'clever'];
+const NOUNS = ['otter', 'falcon', 'maple', 'comet', 'river', 'panda', 'cedar', 'harbor', 'lynx', 'meadow'];
+
+/**
+ * Check whether a room id is valid
+ * @param {string} roomId - The room id to check
+ * @returns {boolean} - True if the id is 3-32 lowercase letters, digits or inner hyphens
+ */
+export function isValidRoomId(roomId) {
+  return typeof roomId === 'string' && ROOM_ID_PATTERN.test(roomId);
+}
+
+/**
+ * Turn free-form user input into a room id candidate
+ * @param {string} input - What the user typed (e.g. "Design Review")
+ * @returns {string} - The normalized id (e.g. "design-review"), which may still be invalid
+ */
+export function normalizeRoomId(input) {
+  return String(input)
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_]+/g, '-')
+    .replace(/[^a-z0-9-]/g, '')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * Generate a random, readable room id
+ * @returns {string} - A room id such as "swift-otter-4821"
+ */
+export function generateRoomId() {
+  const adjective = ADJECTIVES[Math.floor(Math.random() * ADJECTIVES.length)];
+  const noun = NOUNS[Math.floor(Math.random() * NOUNS.length)];
+  const suffix = Math.floor(1000 + Math.random() * 9000);
+  return `${adjective}-${noun}-${suffix}`;
+}
+
+/**
+ * Get the path of a room page
+ * @param {string} roomId - The room id
+ * @returns {string} - The room's path (e.g. "/room/swift-otter-4821")
+ */
+export function getRoomPath(roomId) {
+  return `/room/${roomId}`;
+}
@@ -0,0 +1,104 @@
+/**
+ * Clocks and frame schedulers for animation code.
+ *
+ * Interpolators and particle systems take a scheduler instead of calling
+ * performance.now() and requestAnimationFrame directly, so they can run outside
+ * the browser and be stepped frame by frame with a manual scheduler.
+ *
+ * A scheduler looks like:
+ *   {
+ *     now(),               // Monotonic time in ms, like performance.now()
+ *     dateNow(),           // Wall-clock time in ms since the epoch, like Date.now()
+ *     requestFrame(cb),    // Call cb(timestamp) before the next frame; returns an id
+ *     cancelFrame(id),     // Cancel a requested frame
+ *   }
+ */
+
+// Frame length used where requestAnimationFrame isn't available (ms)
+const FALLBACK_FRAME_INTERVAL = 1000 / 60;
+
+/**
+ * The default scheduler: requestAnimationFrame in the browser, a 60Hz timer elsewhere (e.g. Node)
+ */
+export const browserScheduler = {
+  now: () => performance.now(),
+  dateNow: () => Date.now(),
+  requestFrame: (callback) => {
+    if (typeof requestAnimationFrame === 'function') {
+      return requestAnimationFrame(callback);
+    }
+    return setTimeout(() => callback(performance.now()), FALLBACK_FRAME_INTERVAL);
+  },
+  cancelFrame: (id) => {
+    if (typeof cancelAnimationFrame === 'function') {
+      cancelAnimationFrame(id);
+    } else {
+      clearTimeout(id);
+    }
+  },
+};
+
+/**
+ * Create a scheduler whose time only moves when told to. Frame callbacks run when
+ * a frame is stepped, in the order they were requested, like requestAnimationFrame.
+ * @param {Object} options - Scheduler options
+ * @param {number} options.startTime - Initial monotonic time (ms)
+ * @param {number} options.epoch - Wall-clock time (ms since the epoch) at startTime
+ * @returns {Object} - A scheduler with extra methods to advance time and step frames
+ */
+export function createManualScheduler({ startTime = 0, epoch = 0 } = {}) {
+  let time = startTime;
+  let nextFrameId = 1;
+  let frameCallbacks = new Map();
+
+  /**
+   * Move time forward without running any frames
+   * @param {number} ms - Time to advance (ms)
+   */
+  const advance = (ms) => {
+    time += ms;
+  };
+
+  /**
+   * Advance time by one frame and run the callbacks requested before it.
+   * Frames requested from inside a callback run on the next step.
+   * @param {number} frameDuration - Frame length (ms)
+   * @returns {number} - How many callbacks ran
+   */
+  const step = (frameDuration = FALLBACK_FRAME_INTERVAL) => {
+    time += frameDuration;
+
+    const callbacks = [...frameCallbacks.values()];
+    frameCallbacks = new Map();
+    callbacks.forEach(callback => callback(time));
+    return callbacks.length;
+  };
+
+  /**
+   * Step several frames
+   * @param {number} count - Number of frames
+   * @param {number} frameDuration - Frame length (ms)
+   */
+  const runFrames = (count, frameDuration = FALLBACK_FRAME_INTERVAL) => {
+    for (let i = 0; i < count; i++) {
+      step(frameDuration);
+    }
+  };
+
+  return {
+    now: () => time,
+    dateNow: () => epoch + (time - startTime),
+    requestFrame: (callback) => {
+      const id = nextFrameId++;
+      frameCallbacks.set(id, callback);
+      return id;
+    },
+    cancelFrame: (id) => {
+      frameCallbacks.delete(id);
+    },
+    advance,
+    step,
+    runFrames,
+    getPendingFrameCount: () => frameCallbacks.size,
+  };
+}
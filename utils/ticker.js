@@ -0,0 +1,137 @@
+/**
+ * A shared animation loop.
+ *
+ * Instead of every interpolator running its own requestAnimationFrame chain, they
+ * all register with one ticker, which calls everyone once per frame: first the
+ * update callbacks (advance interpolators), then the render callbacks (draw the
+ * result). The loop only runs while something is registered.
+ */
+
+import { browserScheduler } from '@/utils/scheduler';
+
+// Frames averaged for the frame cost statistic
+const FRAME_COST_WINDOW = 60;
+
+/**
+ * Ticker phases, run in this order every frame
+ */
+export const TICKER_PHASES = {
+  UPDATE: 'update', // Advance state (interpolators, physics)
+  RENDER: 'render', // Draw from the advanced state
+};
+
+/**
+ * Create an animation loop
+ * @param {Object} options - Ticker options
+ * @param {Object} options.scheduler - Clock and frame scheduler (see utils/scheduler.js)
+ * @returns {Object} - Ticker with add(), remove() and getStats()
+ */
+export function createTicker({ scheduler = browserScheduler } = {}) {
+  const callbacks = {
+    [TICKER_PHASES.UPDATE]: new Set(),
+    [TICKER_PHASES.RENDER]: new Set(),
+  };
+  let frameId = null;
+  let isTicking = false;
+  let lastTimestamp = null;
+
+  // How long recent frames took to run all callbacks (ms), oldest first
+  let frameCosts = [];
+
+  const getCallbackCount = () => callbacks[TICKER_PHASES.UPDATE].size + callbacks[TICKER_PHASES.RENDER].size;
+
+  /**
+   * Run one frame
+   * @param {number} timestamp - Frame time from the scheduler (ms)
+   */
+  const tick = (timestamp) => {
+    frameId = null;
+    isTicking = true;
+    const startTime = scheduler.now();
+    const deltaTime = lastTimestamp === null ? 0 : timestamp - lastTimestamp;
+    lastTimestamp = timestamp;
+
+    // Copy each phase, so callbacks can add or remove themselves while we iterate
+    [TICKER_PHASES.UPDATE, TICKER_PHASES.RENDER].forEach(phase => {
+      [...callbacks[phase]].forEach(callback => {
+        try {
+          callback(timestamp, deltaTime);
+        } catch (error) {
+          console.error('Error in animation frame callback:', error);
+        }
+      });
+    });
+
+    frameCosts.push(scheduler.now() - startTime);
+    if (frameCosts.length > FRAME_COST_WINDOW) frameCosts.shift();
+    isTicking = false;
+
+    if (getCallbackCount() > 0) {
+      frameId = scheduler.requestFrame(tick);
+    } else {
+      // Idle; the next frame shouldn't see the whole pause as one huge delta
+      lastTimestamp = null;
+    }
+  };
+
+  /**
+   * Stop calling a callback
+   * @param {Function} callback - A callback passed to add()
+   * @param {string} phase - The phase it was added to
+   */
+  const remove = (callback, phase = TICKER_PHASES.UPDATE) => {
+    callbacks[phase].delete(callback);
+
+    if (getCallbackCount() === 0 && frameId !== null) {
+      scheduler.cancelFrame(frameId);
+      frameId = null;
+      lastTimestamp = null;
+    }
+  };
+
+  /**
+   * Call a callback every frame, starting with the next one
+   * @param {Function} callback - Called with (timestamp, deltaTime) in ms
+   * @param {string} phase - One of TICKER_PHASES
+   * @returns {Function} - Removes the callback again
+   */
+  const add = (callback, phase = TICKER_PHASES.UPDATE) => {
+    callbacks[phase].add(callback);
+
+    // Start the loop; while ticking it is restarted at the end of the frame
+    if (frameId === null && !isTicking) {
+      frameId = scheduler.requestFrame(tick);
+    }
+    return () => remove(callback, phase);
+  };
+
+  /**
+   * Get loop statistics
+   * @returns {Object} - { frameCost, callbacks } with frameCost the average ms per frame
+   */
+  const getStats = () => ({
+    frameCost: frameCosts.length > 0 ? frameCosts.reduce((sum, cost) => sum + cost, 0) / frameCosts.length : 0,
+    callbacks: getCallbackCount(),
+  });
+
+  return {
+    add,
+    remove,
+    getStats,
+  };
+}
+
+// One ticker per scheduler, so everything animated together shares a loop
+const tickers = new WeakMap();
+
+/**
+ * Get the shared ticker for a scheduler
+ * @param {Object} scheduler - Clock and frame scheduler, defaults to the browser's
+ * @returns {Object} - The ticker
+ */
+export function getTicker(scheduler = browserScheduler) {
+  if (!tickers.has(scheduler)) {
+    tickers.set(scheduler, createTicker({ scheduler }));
+  }
+  return tickers.get(scheduler);
+}